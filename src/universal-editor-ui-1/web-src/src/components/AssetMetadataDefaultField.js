@@ -8,10 +8,54 @@ import {
   Flex,
   Text,
   ProgressCircle,
+  ActionButton,
+  ToggleButton,
 } from "@adobe/react-spectrum";
+import PinOff from "@spectrum-icons/workflow/PinOff";
+import PinOn from "@spectrum-icons/workflow/PinOn";
+import Refresh from "@spectrum-icons/workflow/Refresh";
+import Undo from "@spectrum-icons/workflow/Undo";
 
 import { extensionId } from "./constants";
-import { getTraceLevel, trace, traceFn, summarize } from "./trace";
+import { getTraceLevel, trace, summarize } from "./trace";
+import { checkAltText, parseQualityRules } from "./altTextQuality";
+import { parseValidationRules, validateValue } from "./fieldValidation";
+import { diffWords } from "./textDiff";
+import { isAbortError, throwIfAborted } from "./abort";
+import { parseStructureEvent } from "./contentEvents";
+import { subscribeUeEvents } from "./eventBus";
+import { listenForBlockLocks, pauseBetweenWrites, withBlockWriteLock } from "./blockWriteLock";
+import {
+  FetchFailure,
+  MSG_FAILED_ASSET_DETAILS,
+  failureMessage,
+  resetCircuitBreakers,
+} from "./fetchFailures";
+import { getSharedCacheStats, invalidateSharedCache } from "./metadataCache";
+import { clearPersistentCache, invalidatePersistentCache } from "./persistentMetadataCache";
+import {
+  basename,
+  buildFieldConfig,
+  fetchComponentProps,
+  findNeighborEditable,
+  findSelectedEditable,
+  findSelectedEditables,
+  getEditableValue,
+  isPinnedValue,
+  loadAssetMetadata,
+  normalizeAssetSignature,
+  normalizeProp,
+  parseResourceUrn,
+  pickAemConnection,
+  pickAemHost,
+  resolveAssetReference,
+  resolveMetadataSpec,
+  resolveResource,
+  saveDamMetadataValue,
+  updateComponentProps,
+} from "./assetMetadata";
+import { buildProvenance, hashValue, isEditedSinceApply, parseProvenance, serializeProvenance } from "./provenance";
+import { definesField, loadPageModels } from "./pageFields";
 
 /**
  * Module-singleton state for the iframe JS context.
@@ -22,429 +66,206 @@ import { getTraceLevel, trace, traceFn, summarize } from "./trace";
  *
  * Key: `${selectedResource}|${assetField}`
  * Value: last resolved DAM path for that selection.
+ *
+ * Bounded to MAX_SELECTION_KEYS (least recently updated first) and pruned on structure events
+ * (see applyStructureEvent), so a resource that is reused later doesn't inherit another block's asset.
  */
 const lastDamPathBySelectionKey = new Map();
+const MAX_SELECTION_KEYS = 500;
 
 /**
- * Cross-iframe coordination.
- *
- * When a block has multiple instances of this renderer (e.g. Alt + Mime Type), each renderer may
- * attempt to write shortly after the same asset selection. Some canvas renderers / block scripts
- * are sensitive to rapid consecutive content patches (can manifest as temporary DOM duplication).
- *
- * We coordinate *within a single authored component instance* (block) by keying on:
- * `${aemHost}|${resourcePath}|${assetField}`
- *
- * We use BroadcastChannel (modern browsers) to serialize writes and add a small delay between them.
- * This does not change business logic—each field still applies defaults independently when the
- * asset changes—but it avoids patch "bursts".
+ * Resources created by copy/add/move events whose first observed asset is a baseline, not a new
+ * selection: a duplicated block keeps its authored text.
  */
-const BC_NAME = "ue.assetmetadatadefaults.v1";
-// Delay between successive writes within the same block.
-// This mitigates “patch bursts” that can trigger canvas rendering glitches in some environments.
-const INTER_WRITE_DELAY_MS = 700;
-
-// Author-facing status copy (avoid UE jargon).
-const MSG_UPDATING_ASSET_DETAILS = "Updating image details…";
-const MSG_FAILED_ASSET_DETAILS = "Failed to read the asset details. Please try again.";
+const adoptedResources = new Set();
 
 /**
- * Normalize a UE `prop` identifier to a stable comparison key.
- * @param {string} prop
- * @returns {string}
+ * Last structure event handled per event-bus publisher (replays must not be applied twice).
  */
-const normalizeProp = traceFn("normalizeProp", "all", function normalizeProp(prop) {
-  if (!prop) return "";
-  const s = String(prop).trim();
-  // UE props can vary by field type / serializer:
-  // - "image"
-  // - "/image"
-  // - "./image"
-  // Normalize these to a stable key.
-  if (s.startsWith("./")) return s.slice(2);
-  if (s.startsWith("/")) return s.slice(1);
-  return s;
-});
+const lastStructureSeqByPublisher = new Map();
 
 /**
- * Pick the AEM Author base URL from UE `editorState.connections` / `editorState.customTokens`.
- * Values often look like `aem:https://author.example.com` (scheme + URL).
- *
- * @param {Record<string, string>} connections
- * @returns {string|null}
+ * Suggestions the author dismissed (suggestion mode), kept for the lifetime of the iframe JS context.
+ * Key: `${selectedResource}|${assetField}|${assetRef}` so a dismissal only applies to that asset.
  */
-const pickAemConnection = traceFn("pickAemConnection", "all", function pickAemConnection(connections = {}) {
-  const values = Object.values(connections)
-    .filter(Boolean)
-    .map((v) => String(v).trim())
-    .filter(Boolean);
-  const schemePrefixed = values.find((v) => /^[a-z][a-z0-9+.-]*:https?:\/\//i.test(v));
-  if (schemePrefixed) return schemePrefixed.slice(schemePrefixed.indexOf(":") + 1);
-
-  const urlLike = values.find((v) => /^https?:\/\//i.test(v));
-  if (urlLike) return urlLike;
-
-  return null;
-});
+const dismissedSuggestionKeys = new Set();
 
 /**
- * Parse UE resource URNs like: `urn:<connectionName>:<path...>`
- * @param {string} resource
- * @returns {{connectionName: string, path: string} | null}
+ * "Asset metadata has changed" notices the author chose to ignore.
+ * Key: `${selectedResource}|${assetField}|${assetRef}|${hash of the fresh value}` so the notice comes
+ * back if DAM changes again.
  */
-const parseResourceUrn = traceFn("parseResourceUrn", "all", function parseResourceUrn(resource) {
-  if (!resource || typeof resource !== "string") return null;
-  if (!resource.startsWith("urn:")) return null;
-
-  const parts = resource.split(":");
-  if (parts.length < 3) return null;
-  return {
-    connectionName: parts[1] || "",
-    path: parts.slice(2).join(":") || "",
-  };
-});
+const ignoredMetadataChangeKeys = new Set();
 
 /**
- * Extract the `data-aue-resource="urn:..."` value from an editable selector string.
- * @param {string} selector
- * @returns {string}
+ * Value before the most recent auto-fill, per `${selectedResource}|${assetField}`, so the author can undo it.
+ * Value: { previousValue, appliedValue, siblings, resource, resourcePath, assetRef, blockKey, appliedAt,
+ * previousProvenance? }; `siblings` holds the mapped sibling values the same auto-fill changed (see
+ * SiblingChanges), `previousProvenance` the provenance property a bulk write replaced.
  */
-const extractResourceFromSelector = traceFn(
-  "extractResourceFromSelector",
-  "all",
-  function extractResourceFromSelector(selector) {
-    if (!selector || typeof selector !== "string") return "";
-    const m = selector.match(/data-aue-resource\s*=\s*"([^"]+)"/i);
-    // Avoid optional-chaining-with-brackets to keep parsing compatible with older toolchains.
-    const v = ((m && m[1]) || "").trim();
-    return v.startsWith("urn:") ? v : "";
-  }
-);
+const undoEntryBySelectionKey = new Map();
 
 /**
- * Fetch a component JSON model (`<resourcePath>.json`) and return a single property value.
- * Used when the asset field is a DM delivery URL and we need the persisted `/content/dam/...` reference.
- *
- * @param {{aemHost: string, resourcePath: string, propName: string, authScheme?: string, token?: string}} params
- * @returns {Promise<string>}
+ * `${selectedResource}|${assetField}|${assetRef}` entries whose auto-fill was undone: that asset does not
+ * re-apply until a different asset is selected (or the author uses "Refresh from asset").
  */
-const fetchComponentProp = traceFn(
-  "fetchComponentProp",
-  "all",
-  async function fetchComponentProp({ aemHost, resourcePath, propName, authScheme, token }) {
-    if (!aemHost || !resourcePath || !propName) return "";
-    const url = `${aemHost}${resourcePath}.json`;
-    const headers = {};
-    if (token) headers.Authorization = `${authScheme || "Bearer"} ${token}`;
-    let res;
-    try {
-      res = await fetch(url, { headers, credentials: "include" });
-    } catch (e) {
-      // Most common cause here is CORS when running from https://localhost:9080
-      throw new Error(
-        `CORS/Network blocked while fetching component JSON from Author. ` +
-          `Allow Origin https://localhost:9080 on ${aemHost} for ${resourcePath}.json`
-      );
-    }
-    if (!res.ok) throw new Error(`Component fetch failed (${res.status}) for ${resourcePath}`);
-    const json = await res.json();
-    const v = json?.[propName];
-    if (typeof v === "string") return v.trim();
-    if (v == null) return "";
-    return String(v);
-  }
-);
+const undoneAutoFillKeys = new Set();
 
 /**
- * Attempt to extract a `/content/dam/...` path from arbitrary strings/URLs.
- * @param {string} value
- * @returns {string}
+ * Record the asset last seen for a selection, keeping the map within MAX_SELECTION_KEYS.
+ * @param {string} selectionKey
+ * @param {string} assetRef
  */
-const tryExtractDamPath = traceFn("tryExtractDamPath", "all", function tryExtractDamPath(value) {
-  const s = String(value || "");
-  const idx = s.indexOf("/content/dam/");
-  if (idx >= 0) {
-    const tail = s.slice(idx).trim();
-    return tail.split("?")[0];
+function rememberAssetForSelection(selectionKey, assetRef) {
+  lastDamPathBySelectionKey.delete(selectionKey);
+  lastDamPathBySelectionKey.set(selectionKey, assetRef);
+  while (lastDamPathBySelectionKey.size > MAX_SELECTION_KEYS) {
+    lastDamPathBySelectionKey.delete(lastDamPathBySelectionKey.keys().next().value);
   }
-  return "";
-});
-
-/**
- * Return the last path segment ("basename") of a URL/path (query stripped).
- * Used to sanity-check that the persisted DAM path matches the selected DM URL.
- * @param {string} s
- * @returns {string}
- */
-function basename(s) {
-  const v = String(s || "").split("?")[0];
-  const parts = v.split("/").filter(Boolean);
-  return parts[parts.length - 1] || "";
 }
 
 /**
- * Attempt to extract an AEM asset URN from an OpenAPI delivery URL/string.
- * Example: `urn:aaid:aem:<uuid>`
- *
- * @param {string} s
- * @returns {string}
+ * Drop all per-selection state for `resource` and the components nested below it.
+ * @param {string} resource
  */
-function tryExtractAssetUrn(s) {
-  const v = String(s || "");
-  const m = v.match(/urn:aaid:aem:[0-9a-f-]+/i);
-  return (m && m[0]) || "";
+function forgetResource(resource) {
+  const matches = (key) => key === resource || key.startsWith(`${resource}|`) || key.startsWith(`${resource}/`);
+  for (const collection of [
+    lastDamPathBySelectionKey,
+    dismissedSuggestionKeys,
+    ignoredMetadataChangeKeys,
+    undoEntryBySelectionKey,
+    undoneAutoFillKeys,
+    adoptedResources,
+  ]) {
+    for (const key of Array.from(collection.keys())) {
+      if (matches(key)) collection.delete(key);
+    }
+  }
 }
 
 /**
- * If `s` is an absolute URL, return its origin; otherwise empty.
- * @param {string} s
- * @returns {string}
+ * Update per-selection state for a component add/copy/move/remove forwarded by the event bus.
+ * @param {{publisherId: string, seq: number, eventName: string, data: any}} event
+ * @returns {boolean} whether the event was a structure event
  */
-function tryExtractOrigin(s) {
-  try {
-    const u = new URL(String(s || ""));
-    return u.origin || "";
-  } catch {
-    return "";
-  }
+function applyStructureEvent(event) {
+  const structure = parseStructureEvent(event.eventName, event.data);
+  if (!structure) return false;
+  if ((lastStructureSeqByPublisher.get(event.publisherId) || 0) >= event.seq) return true;
+  lastStructureSeqByPublisher.set(event.publisherId, event.seq);
+  structure.removed.forEach(forgetResource);
+  structure.added.forEach((resource) => {
+    forgetResource(resource);
+    adoptedResources.add(resource);
+  });
+  trace("tick", "AssetMetadataDefaultField:structureEvent", {
+    kind: structure.kind,
+    added: structure.added.map(summarize),
+    removed: structure.removed.map(summarize),
+  });
+  return true;
 }
 
-/**
- * Normalize the neighbor asset value into a stable signature for caching decisions.
- * @param {string} assetValue
- * @returns {string}
- */
-const normalizeAssetSignature = traceFn(
-  "normalizeAssetSignature",
-  "all",
-  function normalizeAssetSignature(assetValue) {
-    const s = String(assetValue || "").trim();
-    if (!s) return "";
-    if (s.startsWith("/adobe/dynamicmedia/deliver/")) return s.split("?")[0];
-    return s;
-  }
-);
+// After writing a sibling property (pin, provenance), ignore its persisted value for a while:
+// `<resource>.json` may still report the previous value until the write converges.
+const SIBLING_WRITE_CONVERGENCE_MS = 6000;
 
-/**
- * Return the first selected editable from editorState.
- * @param {any} editorState
- * @returns {any|null}
- */
-const findSelectedEditable = traceFn("findSelectedEditable", "all", function findSelectedEditable(editorState) {
-  const selected = editorState?.selected || {};
-  const selectedIds = Object.keys(selected).filter((k) => selected[k]);
-  if (selectedIds.length === 0) return null;
+// Convergence watcher (after content patches): poll `<resource>.json` with backoff until the persisted
+// asset matches the selection, or the model's `convergenceTimeout` (seconds) passes.
+const CONVERGENCE_FIRST_POLL_MS = 250;
+const CONVERGENCE_MAX_POLL_MS = 2000;
+// An empty asset reference only counts as a removal once it has persisted this long.
+const REMOVAL_GRACE_MS = 2000;
 
-  const id = selectedIds[0];
-  return (editorState?.editables || []).find((e) => e.id === id) || null;
-});
+// How long "Undo auto-fill" stays available after an auto-fill.
+const UNDO_WINDOW_MS = 60000;
 
-/**
- * Resolve a stable URN resource for a field editable by falling back to its parent or selector.
- * @param {Map<string, any>} editableById
- * @param {any} editable
- * @returns {string}
- */
-const resolveResource = traceFn("resolveResource", "all", function resolveResource(editableById, editable) {
-  if (!editable) return "";
-  if (editable.resource) return editable.resource;
-  const parent = editable.parentid ? editableById.get(editable.parentid) : null;
-  return (parent && parent.resource) || extractResourceFromSelector(editable && editable.selector) || "";
-});
+// Minimum iframe height; the renderer grows with its content (suggestions, debug panel).
+const MIN_FIELD_HEIGHT_PX = 110;
 
-/**
- * Get the `prop` identifier from an editable.
- * @param {any} editable
- * @returns {string}
- */
-const resolveProp = traceFn("resolveProp", "all", function resolveProp(editable) {
-  if (!editable) return "";
-  return editable.prop || "";
-});
+// Author-facing status copy (avoid UE jargon).
+const MSG_UPDATING_ASSET_DETAILS = "Updating image details…";
 
 /**
- * Return editables that share the same parent container as the selected editable.
- * (This corresponds to “neighbor fields” within the same authored component instance.)
+ * Whether the overwrite policy lets one property take the asset's value in this run. Called once for
+ * the renderer's own field and once for its mapped siblings, which are tracked apart: with `ifEmpty`, a
+ * filled own field must not keep empty siblings from being filled (and vice versa).
  *
- * @param {any[]} editables
- * @param {any} selectedEditable
- * @returns {any[]}
+ * @param {string} policy see OVERWRITE_POLICIES in assetMetadata.js
+ * @param {{force: boolean, assetChanged: boolean, isFirstAssetSelection: boolean, notYetApplied: boolean, isEmpty: boolean}} state
+ * @returns {boolean}
  */
-function getSiblingEditables(editables, selectedEditable) {
-  const selectedParentId = selectedEditable?.parentid || selectedEditable?.id || "";
-  if (!selectedParentId) return [];
-  return (editables || []).filter((e) => (e?.parentid || "") === selectedParentId);
+function policyAllowsApply(policy, { force, assetChanged, isFirstAssetSelection, notYetApplied, isEmpty }) {
+  // Explicit author request: ignore the "already applied" / "asset unchanged" guards.
+  if (force) return true;
+  // Re-fetch on every evaluation; the write is skipped when the value already matches.
+  if (policy === "always") return true;
+  if (policy === "ifEmpty") return isEmpty && notYetApplied;
+  // Fetch once per asset so the value can be shown; nothing is written.
+  if (policy === "never") return notYetApplied;
+  // Only apply for a new (or first) selection, and only once per resolvedDamPath.
+  return (assetChanged || isFirstAssetSelection) && notYetApplied;
 }
 
 /**
- * Find the neighbor editable for a given field name (e.g. `image`) relative to the selected editable.
- * @param {any} editorState
- * @param {any} selectedEditable
- * @param {string} neighborFieldName
- * @returns {any|null}
+ * @typedef {Record<string, {previous: string, next: string}>} SiblingChanges mapped sibling property -> values
  */
-const findNeighborEditable = traceFn(
-  "findNeighborEditable",
-  "all",
-  function findNeighborEditable(editorState, selectedEditable, neighborFieldName) {
-    const editables = editorState?.editables || [];
-    const editableById = new Map(editables.map((e) => [e.id, e]));
-
-    const want = normalizeProp(neighborFieldName);
-
-    const candidates = getSiblingEditables(editables, selectedEditable);
-
-    const inSameParent =
-      candidates.find((e) => normalizeProp(resolveProp(e)) === want) ||
-      candidates.find((e) => normalizeProp(resolveProp(e)).endsWith(`/${want}`));
-
-    if (inSameParent) return inSameParent;
-
-    const selectedResource = resolveResource(editableById, selectedEditable);
-    if (!selectedResource) return null;
-
-    return (
-      editables.find(
-        (e) =>
-          resolveResource(editableById, e) === selectedResource &&
-          normalizeProp(resolveProp(e)) === want
-      ) ||
-      editables.find(
-        (e) =>
-          resolveResource(editableById, e) === selectedResource &&
-          normalizeProp(resolveProp(e)).endsWith(`/${want}`)
-      ) ||
-      null
-    );
-  }
-);
 
 /**
- * Extract a useful "value" from a UE editable, across different field types.
- * @param {any} editable
- * @returns {string}
+ * `{prop: value}` patch for one side of sibling changes.
+ * @param {SiblingChanges} changes
+ * @param {"previous"|"next"} side
+ * @returns {Record<string, string>}
  */
-const getEditableValue = traceFn("getEditableValue", "all", function getEditableValue(editable) {
-  return (
-    editable?.content ??
-    editable?.value ??
-    editable?.href ??
-    editable?.src ??
-    ""
-  );
-});
+function siblingPatch(changes, side) {
+  const out = {};
+  for (const prop of Object.keys(changes || {})) out[prop] = changes[prop][side];
+  return out;
+}
 
 /**
- * Resolve a metadata key from the fetched metadata JSON:
- * - exact match
- * - case-insensitive match
- * - `:` -> `_` fallback (some serializers normalize keys)
+ * `isOwn`: the row is the component this renderer's field belongs to (the first selected one).
+ * `previousProvenance`: the stored provenance property, restored by undo.
+ * `notApplicable`: the component's model has no field of this name (e.g. a teaser next to a hero).
  *
- * @param {Record<string, any>|null} metadataJson
- * @param {string} requestedKey
- * @returns {{value: any, resolvedKey: string}}
+ * @typedef {{resource: string, resourcePath: string, blockKey: string, assetRef: string, label: string,
+ *   source: "dam"|"delivery", isOwn: boolean, currentValue: string, previousProvenance: string,
+ *   candidate: string, resolvedKey: string,
+ *   state: "ready"|"noAsset"|"pinned"|"notApplicable"|"applied"|"error", message: string}} BulkRow
  */
-const resolveMetadataValue = traceFn(
-  "resolveMetadataValue",
-  "all",
-  function resolveMetadataValue(metadataJson, requestedKey) {
-    if (!metadataJson || typeof metadataJson !== "object") return { value: "", resolvedKey: "" };
-    if (!requestedKey) return { value: "", resolvedKey: "" };
-
-    // Many metadata sources:
-    // - AEM Author DAM metadata.json: keys at root (e.g. "dc:title")
-    // - Delivery OpenAPI /metadata: keys often under `assetMetadata` and `repositoryMetadata`
-    const sources = [metadataJson, metadataJson.assetMetadata, metadataJson.repositoryMetadata].filter(
-      (v) => v && typeof v === "object"
-    );
-
-    // Search each source in order.
-    for (const src of sources) {
-      const keys = Object.keys(src);
-      const direct = src[requestedKey];
-      if (direct !== undefined) return { value: direct, resolvedKey: requestedKey };
-
-      const wantedLower = String(requestedKey).toLowerCase();
-      const ciKey = keys.find((k) => String(k).toLowerCase() === wantedLower);
-      if (ciKey) return { value: src[ciKey], resolvedKey: ciKey };
-
-      const colonToUnderscore = String(requestedKey).replace(/:/g, "_");
-      const underscoreKey = keys.find((k) => String(k).toLowerCase() === colonToUnderscore.toLowerCase());
-      if (underscoreKey) return { value: src[underscoreKey], resolvedKey: underscoreKey };
-    }
-
-    return { value: "", resolvedKey: "" };
-  }
-);
 
 /**
- * Convert a metadata field value into a string suitable for writing into a text field.
- * @param {any} v
- * @returns {string}
+ * Whether "Apply to all" would write this row under the field's overwrite policy.
+ * @param {BulkRow} row
+ * @param {string} policy
+ * @returns {boolean}
  */
-const stringifyMetadataValue = traceFn(
-  "stringifyMetadataValue",
-  "all",
-  function stringifyMetadataValue(v) {
-    if (typeof v === "string") return v.trim();
-    if (Array.isArray(v)) return v.filter(Boolean).join(", ");
-    if (v == null) return "";
-    return String(v);
-  }
-);
-
-/**
- * Fetch the AEM Author DAM metadata JSON for a selected asset.
- * @param {{aemHost: string, assetPath: string, authScheme?: string, token?: string}} params
- * @returns {Promise<Record<string, any> | null>}
- */
-const fetchDamMetadataJson = traceFn(
-  "fetchDamMetadataJson",
-  "all",
-  async function fetchDamMetadataJson({ aemHost, assetPath, authScheme, token }) {
-    if (!aemHost || !assetPath) return null;
-
-    const url = `${aemHost}${assetPath}/jcr:content/metadata.json`;
-    const headers = {};
-    if (token) headers.Authorization = `${authScheme || "Bearer"} ${token}`;
-
-    let res;
-    try {
-      res = await fetch(url, { headers, credentials: "include" });
-    } catch (e) {
-      throw new Error(
-        `CORS/Network blocked while fetching DAM metadata from Author. ` +
-          `Allow Origin https://localhost:9080 on ${aemHost} for ${assetPath}/jcr:content/metadata.json`
-      );
-    }
-    if (!res.ok) {
-      throw new Error(`Metadata fetch failed (${res.status}) for ${assetPath}`);
-    }
-
-    return await res.json();
-  }
-);
+function isBulkRowPending(row, policy) {
+  if (policy === "never") return false;
+  if (policy === "ifEmpty" && row.currentValue) return false;
+  return row.state === "ready" && Boolean(row.candidate) && row.candidate !== row.currentValue;
+}
 
 /**
- * Fetch metadata for an AEM asset delivered via Dynamic Media OpenAPI.
- *
- * @param {{deliveryOrigin: string, assetUrn: string}} params
- * @returns {Promise<Record<string, any> | null>}
+ * One-line description of a bulk row for the list.
+ * @param {BulkRow} row
+ * @param {string} policy
+ * @returns {string}
  */
-const fetchDeliveryMetadataJson = traceFn(
-  "fetchDeliveryMetadataJson",
-  "all",
-  async function fetchDeliveryMetadataJson({ deliveryOrigin, assetUrn }) {
-    if (!deliveryOrigin || !assetUrn) return null;
-    const url = `${deliveryOrigin}/adobe/assets/${assetUrn}/metadata`;
-    // Delivery metadata is typically publicly readable (or authenticated via other means).
-    // Critically: many delivery responses use `Access-Control-Allow-Origin: *`, which is
-    // incompatible with `credentials: "include"` and will be blocked by the browser.
-    const res = await fetch(url, { credentials: "omit" });
-    if (!res.ok) throw new Error(`Delivery metadata fetch failed (${res.status}) for ${assetUrn}`);
-    return await res.json();
+function describeBulkRow(row, policy) {
+  if (row.state === "notApplicable") return "Not applicable: this component has no such field";
+  if (row.state === "noAsset") return "No asset selected";
+  if (row.state === "pinned") return "Pinned: skipped";
+  if (row.state === "error") return row.message;
+  if (row.state === "applied") return `Applied: ${row.candidate}`;
+  if (!row.candidate) return "No value found";
+  if (policy === "ifEmpty" && row.currentValue && row.candidate !== row.currentValue) {
+    return `Kept “${row.currentValue}” (only empty fields are filled)`;
   }
-);
+  if (row.candidate === row.currentValue) return `Already “${row.currentValue}”`;
+  return `“${row.currentValue || "(empty)"}” → “${row.candidate}”`;
+}
 
 function LiveAssetMetadataDefaultField() {
   /**
@@ -468,6 +289,22 @@ function LiveAssetMetadataDefaultField() {
   const [model, setModel] = useState(null);
   const [value, setValue] = useState("");
   const [status, setStatus] = useState({ state: "idle", message: "" });
+  // Pending suggestion (suggestion mode): { value, applyOwn, siblings, resolvedKey, assetRef, selectionKey, blockKey }.
+  const [suggestion, setSuggestionState] = useState(null);
+  const [pinned, setPinned] = useState(false);
+  const [provenance, setProvenance] = useState(null);
+  // Pending "asset metadata has changed" notice: candidate fields + { editedByHand, ignoreKey }.
+  const [metadataChange, setMetadataChangeState] = useState(null);
+  // Undo entry for the current selection while its window is open (see undoEntryBySelectionKey).
+  const [undoEntry, setUndoEntry] = useState(null);
+  // Asset the field currently derives from: { resolvedDamPath, assetUrn, aemHost }.
+  const [assetContext, setAssetContext] = useState(null);
+  // What the quality rules compare the value with: { assetRef, caption } of the selected component.
+  const [qualityContext, setQualityContext] = useState({ assetRef: "", caption: "" });
+  // "Save to asset" flow: null | { phase: "confirm" | "saving", value }.
+  const [saveToAsset, setSaveToAsset] = useState(null);
+  // Multi-selection: null | { rows: BulkRow[], applying: boolean, undo: undo entries of the last "Apply to all" | null }.
+  const [bulk, setBulkState] = useState(null);
   const [debug, setDebug] = useState({
     aemHost: "",
     selectedResource: "",
@@ -483,13 +320,29 @@ function LiveAssetMetadataDefaultField() {
     metadataKeysSample: "",
     metadataKeyResolved: "",
     siblingProps: "",
+    transformSteps: [],
+    cacheStats: "",
     lastError: "",
   });
 
+  const rootRef = useRef(null);
+  const suggestionRef = useRef(null);
+  const metadataChangeRef = useRef(null);
+  const bulkRef = useRef(null);
+  const currentSelectionKeyRef = useRef("");
+  const assetContextRef = useRef(null);
+  // Selection+asset pairs already checked for metadata changes while this renderer is mounted.
+  const metadataChangeCheckedRef = useRef(new Set());
+  // Pin state for the component we last evaluated: { resourcePath, pinned, pendingUntil }.
+  const pinStateRef = useRef({ resourcePath: "", pinned: false, pendingUntil: 0 });
+  // Provenance record for the component we last evaluated: { resourcePath, record, pendingUntil }.
+  const provenanceStateRef = useRef({ resourcePath: "", record: null, pendingUntil: 0 });
+  const currentBlockKeyRef = useRef("");
   const lastSeenAssetRef = useRef(null);
   const lastAppliedAssetRef = useRef(null);
+  // Asset the mapped sibling properties were last filled for (they follow the overwrite policy apart from the own field).
+  const lastSiblingsAppliedAssetRef = useRef(null);
   const valueRef = useRef("");
-  const cooldownUntilRef = useRef(0);
   // Cache for the persisted asset value read from `<component>.json`.
   // Keyed by selection + assetSignature when available (see runOnce).
   const persistedAssetCacheRef = useRef(new Map());
@@ -497,9 +350,12 @@ function LiveAssetMetadataDefaultField() {
   const lastTraceKeyRef = useRef("");
   const lastTraceResolvedDamPathRef = useRef("");
   const runSeqRef = useRef(0);
+  // In-flight runs: seq -> { controller, resource, assetRef, converged }. Used to cancel superseded runs.
+  const activeRunsRef = useRef(new Map());
+  // Active convergence watch: { eventName, startedAt, attempt, timer } (see startConvergenceWatch).
+  const convergenceWatchRef = useRef(null);
   const runScheduledRef = useRef(false);
   const lastRunReasonRef = useRef("");
-  const lastUeEventTsRef = useRef(0);
   const applyTokenRef = useRef("");
   const lastContextRef = useRef({
     selectedResource: "",
@@ -508,244 +364,11 @@ function LiveAssetMetadataDefaultField() {
     aemHost: "",
   });
 
-  // Cross-iframe write coordination state.
-  const instanceIdRef = useRef(
-    `inst_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`
-  );
-  const bcRef = useRef(null);
-  const lockStateRef = useRef(new Map()); // blockKey -> { ownerId, token, expiresAt }
-  const proposalsRef = useRef(new Map()); // blockKey -> Map(token -> { ts, instanceId, token, seenAt })
-
-  // Best-effort BroadcastChannel setup (modern browsers).
+  // Follow other iframes' block locks from mount (BroadcastChannel fallback of withBlockWriteLock).
   useEffect(() => {
-    if (typeof BroadcastChannel === "undefined") return;
-    try {
-      const bc = new BroadcastChannel(BC_NAME);
-      bcRef.current = bc;
-      trace("tick", "AssetMetadataDefaultField:bc:ready", { name: BC_NAME });
-      bc.onmessage = (evt) => {
-        const msg = evt?.data || {};
-        const type = String(msg?.type || "");
-        const blockKey = String(msg?.blockKey || "");
-        if (!type || !blockKey) return;
-
-        const now = Date.now();
-
-        // Helper: expire a lock if needed.
-        const expireLockIfNeeded = () => {
-          const st = lockStateRef.current.get(blockKey);
-          if (st && st.expiresAt && st.expiresAt <= now) {
-            lockStateRef.current.delete(blockKey);
-          }
-        };
-        expireLockIfNeeded();
-
-        if (type === "proposal") {
-          const ts = Number(msg?.ts || 0);
-          const instanceId = String(msg?.instanceId || "");
-          if (!ts || !instanceId) return;
-          const token = `${ts}|${instanceId}`;
-
-          let m = proposalsRef.current.get(blockKey);
-          if (!m) {
-            m = new Map();
-            proposalsRef.current.set(blockKey, m);
-          }
-          m.set(token, { ts, instanceId, token, seenAt: now });
-
-          // Trim stale proposals (keep this lightweight).
-          for (const [k, v] of m.entries()) {
-            if (!v?.seenAt || now - v.seenAt > 1500) m.delete(k);
-          }
-          return;
-        }
-
-        if (type === "commit") {
-          const ts = Number(msg?.ts || 0);
-          const instanceId = String(msg?.instanceId || "");
-          const expiresAt = Number(msg?.expiresAt || 0);
-          if (!ts || !instanceId || !expiresAt) return;
-          const token = `${ts}|${instanceId}`;
-          lockStateRef.current.set(blockKey, { ownerId: instanceId, token, expiresAt });
-          proposalsRef.current.delete(blockKey);
-          return;
-        }
-
-        if (type === "release") {
-          const instanceId = String(msg?.instanceId || "");
-          const st = lockStateRef.current.get(blockKey);
-          if (st && st.ownerId === instanceId) {
-            lockStateRef.current.delete(blockKey);
-          }
-        }
-      };
-      return () => {
-        try {
-          bc.close();
-        } catch {
-          // ignore
-        }
-        if (bcRef.current === bc) bcRef.current = null;
-      };
-    } catch {
-      // ignore (some environments may throw)
-      trace("tick", "AssetMetadataDefaultField:bc:unavailable");
-      return;
-    }
+    listenForBlockLocks();
   }, []);
 
-  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-  const getLockState = (blockKey) => {
-    const now = Date.now();
-    const st = lockStateRef.current.get(blockKey);
-    if (st && st.expiresAt && st.expiresAt <= now) {
-      lockStateRef.current.delete(blockKey);
-      return null;
-    }
-    return st || null;
-  };
-
-  const post = (msg) => {
-    try {
-      bcRef.current?.postMessage(msg);
-    } catch {
-      // ignore
-    }
-  };
-
-  /**
-   * Acquire a per-block lock (BroadcastChannel) to serialize writes across multiple renderer iframes.
-   * @param {string} blockKey
-   * @returns {Promise<null | (() => Promise<void>)>} release function or null if BC unavailable
-   */
-  const acquireBlockLockBC = async (blockKey) => {
-    const bc = bcRef.current;
-    if (!bc || !blockKey) return null;
-
-    const selfId = instanceIdRef.current;
-    const startedAt = Date.now();
-    const timeoutMs = 6500;
-    const ttlMs = 5000;
-    const settleMs = 140;
-    const postCommitSettleMs = 60;
-
-    while (Date.now() - startedAt < timeoutMs) {
-      const st = getLockState(blockKey);
-      if (st && st.ownerId && st.ownerId !== selfId) {
-        // Wait until released/expired.
-        await sleep(180);
-        continue;
-      }
-      if (st && st.ownerId === selfId) {
-        // We already hold it.
-        return async () => {};
-      }
-
-      // Propose ourselves as leader for this blockKey.
-      const ts = Date.now();
-      const token = `${ts}|${selfId}`;
-
-      // Record our own proposal locally and broadcast it.
-      let m = proposalsRef.current.get(blockKey);
-      if (!m) {
-        m = new Map();
-        proposalsRef.current.set(blockKey, m);
-      }
-      m.set(token, { ts, instanceId: selfId, token, seenAt: ts });
-      post({ type: "proposal", blockKey, ts, instanceId: selfId });
-
-      // Collect proposals for a short settle window.
-      await sleep(settleMs);
-
-      const proposalsMap = proposalsRef.current.get(blockKey) || new Map();
-      const proposals = Array.from(proposalsMap.values())
-        .filter((p) => p && p.ts && p.instanceId)
-        // Trim stale items (defensive).
-        .filter((p) => Date.now() - (p.seenAt || 0) <= 1500);
-
-      // Always include our own token in case it was trimmed.
-      if (!proposals.find((p) => p.token === token)) proposals.push({ ts, instanceId: selfId, token, seenAt: ts });
-
-      // Pick deterministic winner: lowest ts, then lowest instanceId.
-      proposals.sort((a, b) => {
-        if (a.ts !== b.ts) return a.ts - b.ts;
-        return String(a.instanceId).localeCompare(String(b.instanceId));
-      });
-      const winner = proposals[0];
-
-      if (winner && winner.instanceId === selfId) {
-        const expiresAt = Date.now() + ttlMs;
-        lockStateRef.current.set(blockKey, { ownerId: selfId, token, expiresAt });
-        post({ type: "commit", blockKey, ts, instanceId: selfId, expiresAt });
-
-        // Briefly yield to allow another commit to be observed (rare race).
-        await sleep(postCommitSettleMs);
-        const st2 = getLockState(blockKey);
-        if (st2 && st2.ownerId === selfId && st2.token === token) {
-          trace("tick", "AssetMetadataDefaultField:lock:acquired", {
-            blockKey: summarize(blockKey),
-            waitedMs: Date.now() - startedAt,
-          });
-          return async () => {
-            // Space out patch bursts by delaying release slightly.
-            await sleep(INTER_WRITE_DELAY_MS);
-            // Only release if we're still the owner.
-            const cur = getLockState(blockKey);
-            if (cur && cur.ownerId === selfId) {
-              lockStateRef.current.delete(blockKey);
-              post({ type: "release", blockKey, instanceId: selfId });
-              trace("tick", "AssetMetadataDefaultField:lock:released", { blockKey: summarize(blockKey) });
-            }
-          };
-        }
-      }
-
-      // Lost or conflicted: wait a bit before retrying.
-      await sleep(220);
-    }
-
-    trace("tick", "AssetMetadataDefaultField:lock:timeout", { blockKey });
-    return null;
-  };
-
-  /**
-   * Serialize writes within a single block.
-   *
-   * Prefer Web Locks API when available (atomic, no election needed). Fall back to BroadcastChannel.
-   *
-   * @template T
-   * @param {string} blockKey
-   * @param {() => Promise<T>} fn
-   * @returns {Promise<T>}
-   */
-  const withBlockWriteLock = async (blockKey, fn) => {
-    if (!blockKey) return await fn();
-
-    // Web Locks API (Chrome/Edge; increasingly available elsewhere). This works across iframes for the same origin.
-    const lockName = `ue.assetmetadatadefaults:block:${blockKey}`;
-    const locks = typeof navigator !== "undefined" ? navigator.locks : null;
-    if (locks && typeof locks.request === "function") {
-      trace("tick", "AssetMetadataDefaultField:lock:usingWebLocks", { lockName: summarize(lockName) });
-      // Ensure only one writer at a time for this blockKey.
-      // Note: we intentionally add a delay while still holding the lock to avoid immediate back-to-back patches.
-      // eslint-disable-next-line no-return-await
-      return await locks.request(lockName, { mode: "exclusive" }, async () => {
-        const v = await fn();
-        await sleep(INTER_WRITE_DELAY_MS);
-        return v;
-      });
-    }
-
-    const release = await acquireBlockLockBC(blockKey);
-    if (!release) return await fn();
-    try {
-      return await fn();
-    } finally {
-      await release();
-    }
-  };
-
   // Debug UI is controlled by the same single flag as console tracing.
   // Any non-off value shows debug UI.
   const showDebug = useMemo(() => getTraceLevel() !== "off", []);
@@ -753,13 +376,38 @@ function LiveAssetMetadataDefaultField() {
   // UE field model supports `readOnly` (documented).
   const isReadOnly = Boolean(model?.readOnly);
 
-  const config = useMemo(() => {
-    // Field model comes from UE; keep config defaults stable for v1.
-    return {
-      assetField: model?.assetField || "image",
-      metadataKey: model?.metadataKey || "dc:title",
-    };
-  }, [model]);
+  const config = useMemo(() => buildFieldConfig(model), [model]);
+  const qualityRules = useMemo(() => parseQualityRules(model?.qualityRules), [model]);
+
+  // Quality rules run on every value, whether auto-filled or typed (altTextQuality.js).
+  const qualityResults = useMemo(
+    () => checkAltText(value, { rules: qualityRules, ...qualityContext }),
+    [value, qualityRules, qualityContext]
+  );
+  const qualityWarnings = qualityResults.filter((r) => !r.ok);
+
+  // Model constraints (`required`, `minLength`, `maxLength`, `pattern`), see fieldValidation.js.
+  const validationRules = useMemo(() => parseValidationRules(model), [model]);
+  const validation = useMemo(() => validateValue(value, validationRules), [value, validationRules]);
+  // Last state reported to the host, so a field whose rules are removed doesn't stay "invalid" there.
+  const reportedValidationRef = useRef(null);
+  useEffect(() => {
+    if (!connection) return;
+    if (!validationRules && reportedValidationRef.current !== "invalid") return;
+    const state = !validationRules || validation.valid ? "valid" : "invalid";
+    reportedValidationRef.current = state;
+    // Let Universal Editor's own validation (e.g. before publishing) see the problem too.
+    // The host call goes over the iframe bridge and may reject; that must not break the field.
+    Promise.resolve(connection.host?.field?.onValidationStateChange?.(state)).catch((e) => {
+      trace("tick", "AssetMetadataDefaultField:validation:reportFailed", { state, message: String(e?.message || e) });
+    });
+    trace("tick", "AssetMetadataDefaultField:validation", { state, rule: validation.rule });
+  }, [connection, validationRules, validation.valid, validation.rule]);
+  const qualitySummary = qualityResults.map((r) => `${r.rule}=${r.ok ? "ok" : "warn"}`).join(",");
+  useEffect(() => {
+    if (!qualitySummary) return;
+    trace("tick", "AssetMetadataDefaultField:quality", { value: summarize(valueRef.current), results: qualitySummary });
+  }, [qualitySummary]);
 
   useEffect(() => {
     if (!isEmbedded) {
@@ -780,7 +428,7 @@ function LiveAssetMetadataDefaultField() {
       valueRef.current = next;
 
       // Try to reduce iframe jitter in the rail.
-      await c.host.field.setHeight?.(110);
+      await c.host.field.setHeight?.(MIN_FIELD_HEIGHT_PX);
       trace("tick", "AssetMetadataDefaultField:attach:done", {
         model: summarize(m),
         initialValue: summarize(next),
@@ -793,25 +441,498 @@ function LiveAssetMetadataDefaultField() {
     });
   }, [isEmbedded, showDebug]);
 
+  /**
+   * Fetch the metadata JSON for a resolved asset: Author DAM `metadata.json` for `/content/dam/...`
+   * paths, otherwise the Delivery `/metadata` endpoint for the asset URN.
+   *
+   * Lookup order: shared session cache (metadataCache.js) → IndexedDB copy, used while younger than
+   * `metadataMaxAge` and revalidated otherwise (persistentMetadataCache.js) → network. `force` bypasses
+   * the session cache and always revalidates. `signal` cancels the request when the run is superseded.
+   *
+   * @param {{resolvedDamPath: string, aemHost: string|null, authScheme: string, token?: string, deliveryOrigin: string, assetUrn: string, force?: boolean, signal?: AbortSignal}} params
+   * @returns {Promise<Record<string, any> | null>}
+   */
+  const fetchAssetMetadata = async ({
+    resolvedDamPath,
+    aemHost,
+    authScheme,
+    token,
+    deliveryOrigin,
+    assetUrn,
+    force,
+    signal,
+  }) => {
+    const result = await loadAssetMetadata({
+      resolvedDamPath,
+      aemHost,
+      authScheme,
+      token,
+      deliveryOrigin,
+      assetUrn,
+      maxAgeMs: config.metadataMaxAgeMs,
+      force,
+      signal,
+    });
+    if (showDebug) {
+      const st = getSharedCacheStats();
+      setDebug((d) => ({ ...d, cacheStats: `hits=${st.hits} misses=${st.misses} deduped=${st.deduped}` }));
+    }
+    return result;
+  };
+
+  /**
+   * Turn fetched metadata into the value this field would write (template or key fallback chain).
+   *
+   * @param {Record<string, any>|null} metadataJson
+   * @param {string} resourcePath component path; its page sets the formatting locale
+   * @returns {{resolved: {value: any, resolvedKey: string, requestedKey: string, index: number}, metadataValue: string, placeholders: any[]|null, transformTrace: Array<{step: string, before: string, after: string}>}}
+   */
+  const resolveCandidate = (metadataJson, resourcePath) =>
+    resolveMetadataSpec(
+      metadataJson,
+      {
+        metadataKeys: config.metadataKeys,
+        metadataTemplate: config.metadataTemplate,
+        transforms: config.transforms,
+        format: config.format,
+        locale: config.locale,
+      },
+      { resourcePath }
+    );
+
+  /**
+   * Write sibling properties of the selected component in one content patch: mapped sibling values
+   * (`props`) and the provenance record (`record`: a record, `null` to clear it, `undefined` to leave
+   * it alone).
+   *
+   * `afterOwnWrite`: the field's own `onChange` just went out in the same lock hold; wait the
+   * inter-write delay first so the two patches don't hit the canvas back to back.
+   *
+   * A failed provenance-only patch is traced but never fails the apply (the value write already
+   * happened); a failed sibling write is thrown.
+   *
+   * @param {{resource: string, resourcePath?: string, props?: Record<string, string>, record?: any, afterOwnWrite?: boolean}} params
+   */
+  const writeSiblingPatch = async ({ resource, resourcePath, props = {}, record, afterOwnWrite = false }) => {
+    const writesRecord = Boolean(config.provenanceField) && record !== undefined;
+    const patch = { ...props };
+    if (writesRecord) patch[config.provenanceField] = record ? serializeProvenance(record) : "";
+    if (!resource || Object.keys(patch).length === 0) return;
+    try {
+      if (afterOwnWrite) await pauseBetweenWrites();
+      await updateComponentProps(connection, { resource, props: patch });
+    } catch (e) {
+      trace("tick", "AssetMetadataDefaultField:siblingPatch:error", {
+        props: Object.keys(patch),
+        message: String(e?.message || e),
+      });
+      if (Object.keys(props).length) throw e;
+      return;
+    }
+    if (!writesRecord) return;
+    provenanceStateRef.current = {
+      resourcePath,
+      record,
+      pendingUntil: Date.now() + SIBLING_WRITE_CONVERGENCE_MS,
+    };
+    setProvenance(record);
+    trace("tick", "AssetMetadataDefaultField:provenance:written", { record: summarize(record) });
+  };
+
+  /**
+   * Provenance record for an apply, or `undefined` when provenance is off or the stored record already
+   * describes this asset + value (avoids an extra content patch for no-op applies).
+   *
+   * @param {{resourcePath: string, asset: string, key: string, source: "dam"|"delivery", value: string}} params
+   * @returns {any}
+   */
+  const applyProvenance = ({ resourcePath, asset, key, source, value }) => {
+    if (!config.provenanceField) return undefined;
+    const prev = provenanceStateRef.current.resourcePath === resourcePath ? provenanceStateRef.current.record : null;
+    if (prev && prev.asset === asset && prev.key === key && prev.hash === hashValue(value)) return undefined;
+    return buildProvenance({ asset, key, source, value });
+  };
+
+  /**
+   * Mapped sibling values this apply would change. The stored values are read from `<resource>.json`;
+   * with `ifEmpty`, a sibling that already has text is left alone.
+   *
+   * @param {{metadataJson: any, aemHost: string|null, resourcePath: string, authScheme: string, token?: string, force?: boolean, signal?: AbortSignal}} params
+   * @returns {Promise<SiblingChanges>}
+   */
+  const resolveSiblingChanges = async ({ metadataJson, aemHost, resourcePath, authScheme, token, force, signal }) => {
+    if (!config.metadataMapping.length || !resourcePath || !aemHost) return {};
+    const stored = await fetchComponentProps({
+      aemHost,
+      resourcePath,
+      propNames: config.metadataMapping.map((m) => m.prop),
+      authScheme,
+      token,
+      force,
+      signal,
+    });
+    const out = {};
+    for (const m of config.metadataMapping) {
+      const next = resolveMetadataSpec(metadataJson, m).metadataValue;
+      const previous = stored[m.prop] || "";
+      if (config.overwritePolicy === "ifEmpty" && previous) continue;
+      if (next !== previous) out[m.prop] = { previous, next };
+    }
+    return out;
+  };
+
+  /**
+   * Compare the stored field value (or its provenance hash) with freshly fetched asset metadata and
+   * raise an "Asset metadata has changed" notice when DAM/Delivery has moved on.
+   *
+   * - With a provenance record for this asset: DAM changed when the fresh value's hash differs from the
+   *   recorded hash; the field counts as edited by hand when the current value's hash differs too.
+   * - Without provenance: a non-empty field that differs from the fresh value is reported, but we can't
+   *   tell a hand edit from an old auto-fill (`editedByHand: null`).
+   *
+   * @param {Record<string, any>} params
+   */
+  const checkForMetadataChange = async ({
+    seq,
+    reason,
+    selectionKey,
+    blockKey,
+    selectedResource,
+    resourcePath,
+    resolvedAssetRef,
+    resolvedDamPath,
+    aemHost,
+    authScheme,
+    token,
+    deliveryOrigin,
+    assetUrn,
+    signal,
+  }) => {
+    const metadataJson = await fetchAssetMetadata({
+      resolvedDamPath,
+      aemHost,
+      authScheme,
+      token,
+      deliveryOrigin,
+      assetUrn,
+      signal,
+    });
+    const { resolved, metadataValue } = resolveCandidate(metadataJson, resourcePath);
+    const currentValue = valueRef.current || "";
+    if (lastSeenAssetRef.current !== resolvedAssetRef) return;
+
+    const prov = provenanceStateRef.current;
+    const record = prov.resourcePath === resourcePath ? prov.record : null;
+    const usableRecord = record && record.asset === resolvedAssetRef ? record : null;
+
+    let changed = false;
+    let editedByHand = null;
+    if (usableRecord) {
+      changed = hashValue(metadataValue) !== usableRecord.hash;
+      editedByHand = isEditedSinceApply(currentValue, usableRecord);
+    } else {
+      // Empty may be intentional (decorative images), so only compare authored values.
+      changed = Boolean(currentValue) && metadataValue !== currentValue;
+    }
+    if (changed && metadataValue === currentValue) changed = false;
+
+    const ignoreKey = `${selectionKey}|${resolvedAssetRef}|${hashValue(metadataValue)}`;
+    trace("tick", `run=${seq}:metadataChange:checked`, {
+      reason,
+      changed,
+      editedByHand,
+      hasProvenance: Boolean(usableRecord),
+      ignored: ignoredMetadataChangeKeys.has(ignoreKey),
+    });
+    if (!changed || !metadataValue || ignoredMetadataChangeKeys.has(ignoreKey)) return;
+
+    setMetadataChange({
+      value: metadataValue,
+      resolvedKey: resolved.resolvedKey || "",
+      assetRef: resolvedAssetRef,
+      source: resolvedDamPath ? "dam" : "delivery",
+      resource: selectedResource,
+      resourcePath,
+      selectionKey,
+      blockKey,
+      editedByHand,
+      ignoreKey,
+    });
+  };
+
+  /**
+   * Show the undo entry for `selectionKey` if its window is still open (and hide it when it closes).
+   * @param {string} selectionKey
+   */
+  const showUndoEntry = (selectionKey) => {
+    const entry = undoEntryBySelectionKey.get(selectionKey) || null;
+    const open = Boolean(entry) && Date.now() - entry.appliedAt < UNDO_WINDOW_MS;
+    setUndoEntry(open ? { ...entry, selectionKey } : null);
+  };
+
+  /**
+   * `previousProvenance` (bulk mode): the stored provenance property, restored by undo.
+   *
+   * @param {string} selectionKey
+   * @param {{previousValue: string, appliedValue: string, siblings: SiblingChanges, resource: string, resourcePath: string, assetRef: string, blockKey: string, appliedAt: number, previousProvenance?: string}} entry
+   * @param {{show?: boolean}=} options `show: false` records the entry without offering it here (bulk rows)
+   */
+  const rememberUndoEntry = (selectionKey, entry, { show = true } = {}) => {
+    // Drop expired entries so the map doesn't grow for the whole editor session.
+    for (const [k, v] of undoEntryBySelectionKey.entries()) {
+      if (Date.now() - v.appliedAt >= UNDO_WINDOW_MS) undoEntryBySelectionKey.delete(k);
+    }
+    undoEntryBySelectionKey.set(selectionKey, entry);
+    if (show) setUndoEntry({ ...entry, selectionKey });
+  };
+
+  /**
+   * Remember the current asset for author actions (e.g. "Save to asset"). The auth token stays in the
+   * ref only; state holds what the UI needs.
+   * @param {{resolvedDamPath: string, assetUrn: string, aemHost: string, authScheme: string, token?: string}|null} next
+   */
+  const updateAssetContext = (next) => {
+    const prev = assetContextRef.current;
+    assetContextRef.current = next;
+    const same =
+      (!prev && !next) ||
+      (prev && next && prev.resolvedDamPath === next.resolvedDamPath && prev.assetUrn === next.assetUrn);
+    if (same) return;
+    setAssetContext(next ? { resolvedDamPath: next.resolvedDamPath, assetUrn: next.assetUrn, aemHost: next.aemHost } : null);
+    setSaveToAsset(null);
+  };
+
+  const setSuggestion = (next) => {
+    suggestionRef.current = next;
+    setSuggestionState(next);
+  };
+
+  const setMetadataChange = (next) => {
+    metadataChangeRef.current = next;
+    setMetadataChangeState(next);
+  };
+
+  const setBulk = (next) => {
+    bulkRef.current = next;
+    setBulkState(next);
+  };
+
+  // Grow/shrink the iframe with the rendered content (suggestion panel, debug output, ...).
+  useEffect(() => {
+    const el = rootRef.current;
+    if (!connection || !el || typeof ResizeObserver === "undefined") return;
+    let lastHeight = 0;
+    const observer = new ResizeObserver(() => {
+      const next = Math.max(MIN_FIELD_HEIGHT_PX, Math.ceil(el.getBoundingClientRect().height));
+      if (next === lastHeight) return;
+      lastHeight = next;
+      Promise.resolve(connection.host.field.setHeight?.(next)).catch(() => {
+        // ignore (older hosts)
+      });
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [connection]);
+
+  /**
+   * Cancel in-flight runs that no longer match what this run is looking at.
+   *
+   * A run is superseded when the selection moved to another component, or when the same component now
+   * references another asset. Runs for the same selection + asset are left alone: they converge on the
+   * same result, and cancelling one would drop its apply (the follow-up no longer sees an asset change).
+   *
+   * @param {number} seq
+   * @param {{resource?: string, assetRef?: string}} current
+   */
+  const supersedeRuns = (seq, { resource, assetRef }) => {
+    const self = activeRunsRef.current.get(seq);
+    if (self) {
+      if (resource !== undefined) self.resource = resource;
+      if (assetRef !== undefined) self.assetRef = assetRef;
+    }
+    for (const [otherSeq, run] of activeRunsRef.current) {
+      if (otherSeq === seq || run.controller.signal.aborted) continue;
+      const otherSelection = resource !== undefined && run.resource && resource && run.resource !== resource;
+      const otherAsset =
+        assetRef !== undefined &&
+        run.resource === self?.resource &&
+        run.assetRef &&
+        assetRef &&
+        run.assetRef !== assetRef;
+      if (!otherSelection && !otherAsset) continue;
+      run.controller.abort();
+      trace("tick", `run=${otherSeq}:aborted`, {
+        supersededBy: `run=${seq}`,
+        note: otherSelection ? "selectionChanged" : "assetChanged",
+      });
+    }
+  };
+
   /**
    * Run one evaluation cycle: read editorState, resolve asset, decide whether to fetch/apply metadata.
    * This replaces polling when host events are available.
    *
+   * `force` (manual "Refresh from asset") bypasses the persisted-asset cache and
+   * the `lastAppliedAssetRef` / `lastDamPathBySelectionKey` guards, so metadata is always re-fetched.
+   *
+   * Each run owns an AbortController; its fetches are cancelled when a newer run supersedes it (see
+   * supersedeRuns) and the run ends with an AbortError.
+   *
+   * `convergence` is set for polls of the convergence watcher: how long it has been waiting and whether
+   * its deadline has passed. Only these runs may treat an empty asset reference as a removal.
+   *
+   * @param {string} reason
+   * @param {{force?: boolean, convergence?: {attempt: number, elapsedMs: number, deadlineReached: boolean}}=} options
+   * @returns {Promise<boolean>} whether persisted state matched the selection (false keeps the watcher polling)
+   */
+  const runOnce = async (reason, { force = false, convergence = null } = {}) => {
+    if (!connection) return true;
+    const seq = (runSeqRef.current += 1);
+    const controller = new AbortController();
+    const run = { controller, resource: "", assetRef: "", converged: true };
+    activeRunsRef.current.set(seq, run);
+    try {
+      await evaluateRun(seq, reason, { force, signal: controller.signal, convergence });
+      return run.converged;
+    } finally {
+      activeRunsRef.current.delete(seq);
+    }
+  };
+
+  /**
+   * Record whether run `seq` saw converged persisted state (read by the convergence watcher).
+   * @param {number} seq
+   * @param {boolean} converged
+   */
+  const setRunConverged = (seq, converged) => {
+    const run = activeRunsRef.current.get(seq);
+    if (run) run.converged = converged;
+  };
+
+  /**
+   * Multi-selection ("bulk mode"): resolve asset and candidate value for every selected component and
+   * list them for "Apply to all". Nothing is written automatically while several components are selected.
+   *
+   * @param {number} seq
+   * @param {string} reason
+   * @param {{editorState: any, targets: Array<{editable: any, resource: string}>, signal: AbortSignal}} params
+   */
+  const evaluateBulkSelection = async (seq, reason, { editorState, targets, signal }) => {
+    supersedeRuns(seq, { resource: `bulk:${targets.map((t) => t.resource).join(",")}` });
+    const ownProp = normalizeProp(model?.name || "");
+    const connections = editorState?.connections || {};
+    const customTokens = editorState?.customTokens || {};
+    const token = connection.sharedContext?.get("token");
+    const authScheme = connection.sharedContext?.get("authScheme") || "Bearer";
+    setStatus({ state: "loading", message: `Reading ${targets.length} selected components…` });
+    trace("tick", `run=${seq}:bulk:start`, { reason, count: targets.length });
+
+    // Components of the same model as the field's own one have the field. Any other model needs its
+    // definition; without one the component is left out rather than given a stray property.
+    const ownModel = targets[0]?.editable?.model;
+    let pageModels = [];
+    if (targets.some((t) => t.editable?.model !== ownModel)) {
+      try {
+        pageModels = await loadPageModels({ editorState, authScheme, token, signal });
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        trace("tick", `run=${seq}:bulk:pageModels:error`, { message: String(e?.message || e) });
+      }
+    }
+    const hasField = (editable, index) =>
+      index === 0 || editable?.model === ownModel || definesField(editorState, editable, ownProp, pageModels);
+
+    const rows = await Promise.all(
+      targets.map(async ({ editable, resource }, index) => {
+        const urn = parseResourceUrn(resource);
+        const aemHost = pickAemHost(connections, customTokens, urn?.connectionName || "");
+        /** @type {BulkRow} */
+        const row = {
+          resource,
+          resourcePath: urn?.path || "",
+          blockKey: `${urn?.connectionName || "aem"}|${urn?.path || resource}|${config.assetField}`,
+          assetRef: "",
+          label: "",
+          source: "dam",
+          // Like findSelectedEditable in single selection: the field belongs to the first selected component.
+          isOwn: index === 0,
+          currentValue: "",
+          previousProvenance: "",
+          candidate: "",
+          resolvedKey: "",
+          state: "ready",
+          message: "",
+        };
+        if (!hasField(editable, index)) return { ...row, label: basename(row.resourcePath) || resource, state: "notApplicable" };
+        try {
+          const props =
+            urn?.path && aemHost
+              ? await fetchComponentProps({
+                  aemHost,
+                  resourcePath: urn.path,
+                  propNames: [config.assetField, ownProp, config.pinField, config.provenanceField],
+                  authScheme,
+                  token,
+                  signal,
+                })
+              : {};
+          const neighbor = findNeighborEditable(editorState, editable, config.assetField);
+          const asset = resolveAssetReference(props[config.assetField] || getEditableValue(neighbor));
+          row.assetRef = asset.assetRef;
+          row.label = basename(asset.assetRef) || resource;
+          row.source = asset.resolvedDamPath ? "dam" : "delivery";
+          row.currentValue = props[ownProp] || "";
+          row.previousProvenance = config.provenanceField ? props[config.provenanceField] || "" : "";
+          if (!asset.assetRef) return { ...row, state: "noAsset" };
+          if (config.pinField && isPinnedValue(props[config.pinField])) return { ...row, state: "pinned" };
+          const metadataJson = await fetchAssetMetadata({
+            resolvedDamPath: asset.resolvedDamPath,
+            aemHost,
+            authScheme,
+            token,
+            deliveryOrigin: asset.deliveryOrigin,
+            assetUrn: asset.assetUrn,
+            signal,
+          });
+          const { resolved, metadataValue } = resolveCandidate(metadataJson, row.resourcePath);
+          return { ...row, candidate: metadataValue, resolvedKey: resolved.resolvedKey || "" };
+        } catch (e) {
+          if (isAbortError(e)) throw e;
+          return { ...row, state: "error", message: failureMessage(e) };
+        }
+      })
+    );
+    throwIfAborted(signal);
+
+    setSuggestion(null);
+    setMetadataChange(null);
+    setBulk({ rows, applying: false });
+    const pending = rows.filter((r) => isBulkRowPending(r, config.overwritePolicy)).length;
+    setStatus({
+      state: "done",
+      message: `${rows.length} components selected, ${pending} can be filled from their assets`,
+    });
+    trace("tick", `run=${seq}:bulk:listed`, {
+      reason,
+      rows: rows.map(
+        (r) => `${summarize(r.resource)}=${r.state}${isBulkRowPending(r, config.overwritePolicy) ? ":pending" : ""}`
+      ),
+    });
+  };
+
+  /**
+   * Body of runOnce for one run.
+   *
+   * @param {number} seq
    * @param {string} reason
+   * @param {{force: boolean, signal: AbortSignal, convergence: {attempt: number, elapsedMs: number, deadlineReached: boolean}|null}} options
    */
-  const runOnce = async (reason) => {
-    if (!connection) return;
-    const seq = (runSeqRef.current += 1);
+  const evaluateRun = async (seq, reason, { force, signal, convergence }) => {
     lastRunReasonRef.current = reason;
-    trace("tick", "AssetMetadataDefaultField:runOnce:start", { seq, reason });
-
-    const now = Date.now();
-    if (cooldownUntilRef.current && now < cooldownUntilRef.current) {
-      trace("tick", "AssetMetadataDefaultField:runOnce:cooldown", { seq, reason });
-      return;
-    }
+    trace("tick", "AssetMetadataDefaultField:runOnce:start", { seq, reason, force });
 
     const editorState = await connection.host.editorState.get();
+    throwIfAborted(signal);
     const editables = editorState?.editables || [];
     const editableById = new Map(editables.map((e) => [e.id, e]));
 
@@ -820,6 +941,18 @@ function LiveAssetMetadataDefaultField() {
     const customTokens = editorState?.customTokens || {};
     const customTokensKeys = Object.keys(customTokens).join(", ");
 
+    // Several components selected: list them for "Apply to all" instead of auto-filling one of them.
+    const targets = [];
+    for (const editable of findSelectedEditables(editorState)) {
+      const resource = resolveResource(editableById, editable);
+      if (resource && !targets.some((t) => t.resource === resource)) targets.push({ editable, resource });
+    }
+    if (targets.length > 1) {
+      await evaluateBulkSelection(seq, reason, { editorState, targets, signal });
+      return;
+    }
+    if (bulkRef.current) setBulk(null);
+
     // Selection can be temporarily empty/unstable during UE transitions. When that happens, fall back
     // to the last stable block context we saw while this renderer remained mounted.
     //
@@ -848,12 +981,7 @@ function LiveAssetMetadataDefaultField() {
 
       parsedHostFromConnectionValue = pickAemConnection({ tmp: connectionValue }) || "";
 
-      aemHost =
-        (connectionName && pickAemConnection({ [connectionName]: connectionValue })) ||
-        (connectionName && pickAemConnection({ [connectionName]: customTokenValue })) ||
-        pickAemConnection(connections) ||
-        pickAemConnection(customTokens) ||
-        null;
+      aemHost = pickAemHost(connections, customTokens, connectionName);
 
       neighbor = findNeighborEditable(editorState, selectedEditable, config.assetField);
       neighborProp = neighbor?.prop || "";
@@ -881,6 +1009,7 @@ function LiveAssetMetadataDefaultField() {
           setStatus({ state: "loading", message: MSG_UPDATING_ASSET_DETAILS });
           trace("tick", `run=${seq}:waitingForSelection`, { reason });
         }
+        setRunConverged(seq, false);
         return;
       }
 
@@ -895,13 +1024,7 @@ function LiveAssetMetadataDefaultField() {
       customTokenValue = connectionName ? String(customTokens?.[connectionName] || "") : "";
       parsedHostFromConnectionValue = pickAemConnection({ tmp: connectionValue }) || "";
 
-      aemHost =
-        (connectionName && pickAemConnection({ [connectionName]: connectionValue })) ||
-        (connectionName && pickAemConnection({ [connectionName]: customTokenValue })) ||
-        pickAemConnection(connections) ||
-        pickAemConnection(customTokens) ||
-        lastContextRef.current.aemHost ||
-        null;
+      aemHost = pickAemHost(connections, customTokens, connectionName) || lastContextRef.current.aemHost || null;
 
       // Without a selected editable we may not have a neighbor editable; we rely on persisted
       // component JSON as the source of truth.
@@ -912,6 +1035,8 @@ function LiveAssetMetadataDefaultField() {
       assetSignature = "";
     }
 
+    supersedeRuns(seq, { resource: selectedResource });
+
     const token = connection.sharedContext?.get("token");
     const authScheme = connection.sharedContext?.get("authScheme") || "Bearer";
     // Per-block coordination key.
@@ -926,6 +1051,7 @@ function LiveAssetMetadataDefaultField() {
       : selectedResource
         ? `${connectionName || "aem"}|${selectedResource}|${config.assetField}`
         : "";
+    currentBlockKeyRef.current = blockKey;
 
     // Source of truth: persisted component property from `<component>.json` when available.
     // (The editable value we see in editorState is sometimes a transformed delivery URL.)
@@ -938,17 +1064,46 @@ function LiveAssetMetadataDefaultField() {
         ? `${aemHost}|${urn.path}|${config.assetField}|${assetSignature}`
         : "";
 
-      const cached = canUsePersistedCache ? persistedAssetCacheRef.current.get(cacheKey) : null;
+      // Pin flag and provenance live on the same component JSON; re-read it whenever we don't know them yet.
+      const siblingsKnown =
+        (!config.pinField || pinStateRef.current.resourcePath === urn.path) &&
+        (!config.provenanceField || provenanceStateRef.current.resourcePath === urn.path);
+      const cached =
+        canUsePersistedCache && !force && siblingsKnown ? persistedAssetCacheRef.current.get(cacheKey) : null;
       if (cached) {
         persistedAssetValue = cached;
       } else {
-        const persisted = await fetchComponentProp({
+        const props = await fetchComponentProps({
           aemHost,
           resourcePath: urn.path,
-          propName: config.assetField,
+          propNames: [config.assetField, config.pinField, config.provenanceField],
           authScheme,
           token,
+          // Convergence polls must see the latest persisted state, not the previous poll's cached JSON.
+          force: force || Boolean(convergence && convergence.attempt > 1),
+          signal,
         });
+        const persisted = props[config.assetField] || "";
+
+        if (config.pinField) {
+          const pin = pinStateRef.current;
+          const localWritePending = pin.resourcePath === urn.path && pin.pendingUntil > Date.now();
+          if (!localWritePending) {
+            const nextPinned = isPinnedValue(props[config.pinField]);
+            pinStateRef.current = { resourcePath: urn.path, pinned: nextPinned, pendingUntil: 0 };
+            setPinned(nextPinned);
+          }
+        }
+
+        if (config.provenanceField) {
+          const prov = provenanceStateRef.current;
+          const localWritePending = prov.resourcePath === urn.path && prov.pendingUntil > Date.now();
+          if (!localWritePending) {
+            const record = parseProvenance(props[config.provenanceField]);
+            provenanceStateRef.current = { resourcePath: urn.path, record, pendingUntil: 0 };
+            setProvenance(record);
+          }
+        }
 
         // Same “lags 1” / eventual consistency issue applies: we may briefly read the previous value.
         // Use filename convergence when we can (requires a non-empty assetSignature).
@@ -956,6 +1111,7 @@ function LiveAssetMetadataDefaultField() {
         const persistedName = basename(persisted);
         const looksStale = Boolean(dmName && persistedName && dmName !== persistedName);
         if (looksStale) {
+          setRunConverged(seq, false);
           trace("tick", `run=${seq}:persistedAsset:notConverged`, {
             reason,
             dmName,
@@ -976,16 +1132,19 @@ function LiveAssetMetadataDefaultField() {
     // Resolve from persisted value first, then fall back to what editorState exposed.
     const assetValue = String((persistedAssetValue || assetPath) || "").trim();
 
-    const deliveryOrigin = tryExtractOrigin(assetValue);
-    const assetUrn = tryExtractAssetUrn(assetValue);
-
-    let resolvedDamPath = "";
-    if (assetValue.startsWith("/content/dam/")) {
-      resolvedDamPath = assetValue.split("?")[0];
-    } else {
-      resolvedDamPath = tryExtractDamPath(assetValue);
+    const { deliveryOrigin, assetUrn, resolvedDamPath, assetRef: resolvedAssetRef } = resolveAssetReference(assetValue);
+    supersedeRuns(seq, { assetRef: resolvedAssetRef });
+    if (qualityRules) {
+      const captionField = qualityRules.captionField || "";
+      const caption = captionField
+        ? String(getEditableValue(findNeighborEditable(editorState, selectedEditable, captionField)) || "")
+            .replace(/<[^>]*>/g, " ")
+            .trim()
+        : "";
+      setQualityContext((prev) =>
+        prev.assetRef === resolvedAssetRef && prev.caption === caption ? prev : { assetRef: resolvedAssetRef, caption }
+      );
     }
-    const resolvedAssetRef = resolvedDamPath || assetUrn || "";
 
     // Determine whether this run is driven by a selection/persist event stream.
     const isSelectionRelatedEvent =
@@ -994,14 +1153,11 @@ function LiveAssetMetadataDefaultField() {
         reason.startsWith("ueEvent:aue:content-details") ||
         reason.startsWith("ueEvent:aue:ui-select"));
 
-    // For convergence retries, we tag the reason as `...:retry{ms}`.
-    // Clearing on removal is best-effort, but we gate it to later retries to avoid false clears
-    // during eventual consistency windows (e.g. stale component JSON right after selection).
-    const isLateConvergenceRetry =
-      typeof reason === "string" &&
-      (reason.endsWith(":retry2000") || reason.endsWith(":retry5000"));
-    const isFinalConvergenceRetry =
-      typeof reason === "string" && reason.endsWith(":retry5000");
+    // Clearing on removal is best-effort: only convergence polls that have seen the empty reference for
+    // REMOVAL_GRACE_MS may do it, to avoid false clears while persisted JSON catches up.
+    const removalSettled =
+      Boolean(convergence) && (convergence.elapsedMs >= REMOVAL_GRACE_MS || convergence.deadlineReached);
+    const convergenceTimedOut = Boolean(convergence?.deadlineReached);
 
     const siblingProps = (editorState?.editables || [])
       .filter((e) => (e?.parentid || "") === (selectedEditable.parentid || selectedEditable.id || ""))
@@ -1011,7 +1167,7 @@ function LiveAssetMetadataDefaultField() {
       .join(", ");
 
     if (showDebug) {
-      setDebug({
+      setDebug((d) => ({
         aemHost: aemHost || "",
         selectedResource: selectedResource || "",
         connectionName,
@@ -1026,8 +1182,10 @@ function LiveAssetMetadataDefaultField() {
         metadataKeysSample: "",
         metadataKeyResolved: "",
         siblingProps,
+        cacheStats: d.cacheStats,
+        transformSteps: d.transformSteps ?? [],
         lastError: "",
-      });
+      }));
     }
 
     const traceKey = [selectedResource || "", neighborProp || "", assetSignature || "", resolvedAssetRef || ""].join("|");
@@ -1045,14 +1203,23 @@ function LiveAssetMetadataDefaultField() {
       });
     }
 
+    const isPinned =
+      Boolean(config.pinField) &&
+      Boolean(urn?.path) &&
+      pinStateRef.current.resourcePath === urn.path &&
+      pinStateRef.current.pinned;
+
     // If the asset reference is missing, this may be either:
     // - a transient convergence gap right after selection/persist, or
     // - a real removal (author clicked the "clear" button).
     //
     // UX choice: when the reference is actually removed, auto-clear this metadata field to avoid
-    // stale values. We do this conservatively on later retries to reduce false clears.
+    // stale values. We do this conservatively, once the removal has settled, to reduce false clears.
     if (!resolvedAssetRef) {
       const selectionKey = `${selectedResource || ""}|${config.assetField}`;
+      if (suggestionRef.current && suggestionRef.current.selectionKey === selectionKey) setSuggestion(null);
+      updateAssetContext(null);
+      if (metadataChangeRef.current && metadataChangeRef.current.selectionKey === selectionKey) setMetadataChange(null);
       const prevAssetRef = lastDamPathBySelectionKey.get(selectionKey) || "";
       const hadPreviousAsset = Boolean(prevAssetRef);
       const alreadyClearedState =
@@ -1064,6 +1231,22 @@ function LiveAssetMetadataDefaultField() {
       // If the reference is truly empty and we've already processed the removal (or the page loaded
       // with no asset selected), don't show a perpetual "waiting" message. Instead, show a stable
       // state that explains what's happening.
+      if (force) {
+        setStatus({ state: "done", message: "No asset selected" });
+        trace("tick", `run=${seq}:refresh:noAsset`, { reason });
+        return;
+      }
+
+      if (isPinned) {
+        // Pinned: the author's text stays even when the asset is removed.
+        setStatus({ state: "done", message: "Pinned: auto-fill is off for this field" });
+        trace("tick", `run=${seq}:pinned:skipClear`, { reason });
+        return;
+      }
+
+      // Until the removal settles, the reference may still be catching up: keep the watcher polling.
+      setRunConverged(seq, removalSettled);
+
       if (isSelectionRelatedEvent && alreadyClearedState) {
         setStatus({ state: "done", message: "No asset selected" });
         trace("tick", `run=${seq}:noAssetSelected`, { reason });
@@ -1071,7 +1254,7 @@ function LiveAssetMetadataDefaultField() {
       }
 
       if (isSelectionRelatedEvent) {
-        if (isFinalConvergenceRetry) {
+        if (convergenceTimedOut) {
           setStatus({ state: "error", message: MSG_FAILED_ASSET_DETAILS });
           trace("tick", `run=${seq}:assetRef:timeout`, { reason });
         } else {
@@ -1080,23 +1263,52 @@ function LiveAssetMetadataDefaultField() {
         }
       }
 
-      // Only clear if we previously had an asset for this block+field, and we are on a later
-      // convergence retry (meaning we've waited long enough for persisted JSON to catch up).
-      if (hadPreviousAsset && isLateConvergenceRetry) {
+      // Only clear if we previously had an asset for this block+field, and the removal has settled
+      // (we've waited long enough for persisted JSON to catch up).
+      // `ifEmpty` and `never` never replace existing text, so they leave the field alone on removal.
+      const policyClearsOnRemoval =
+        config.overwritePolicy === "onAssetChange" || config.overwritePolicy === "always";
+      if (hadPreviousAsset && removalSettled && policyClearsOnRemoval) {
         trace("tick", `run=${seq}:assetRemoved:clearing`, { reason, prevAssetRef });
 
         // Serialize within block (same mechanism as apply) to avoid patch bursts.
         await withBlockWriteLock(blockKey, async () => {
           // If user typed something manually after removal, they can re-enter later; we treat
-          // metadata-derived values as stale once the asset is removed.
-          if (valueRef.current !== "") {
+          // metadata-derived values as stale once the asset is removed. Mapped siblings likewise.
+          const storedSiblings =
+            config.metadataMapping.length && urn?.path && aemHost
+              ? await fetchComponentProps({
+                  aemHost,
+                  resourcePath: urn.path,
+                  propNames: config.metadataMapping.map((m) => m.prop),
+                  authScheme,
+                  token,
+                  force: true,
+                  signal,
+                })
+              : {};
+          const clearedSiblings = {};
+          for (const prop of Object.keys(storedSiblings)) {
+            if (storedSiblings[prop]) clearedSiblings[prop] = "";
+          }
+          const clearedOwn = valueRef.current !== "";
+          if (clearedOwn) {
             connection.host.field.onChange("");
             setValue("");
             valueRef.current = "";
           }
+          // The value no longer derives from an asset.
+          await writeSiblingPatch({
+            resource: selectedResource,
+            resourcePath: urn?.path || "",
+            props: clearedSiblings,
+            record: provenanceStateRef.current.record ? null : undefined,
+            afterOwnWrite: clearedOwn,
+          });
           lastAppliedAssetRef.current = "";
+          lastSiblingsAppliedAssetRef.current = "";
           lastSeenAssetRef.current = "";
-          lastDamPathBySelectionKey.set(selectionKey, "");
+          rememberAssetForSelection(selectionKey, "");
           // UX: show a single stable message rather than a transient "cleared" state.
           // Debug traces still indicate that a clear happened.
           setStatus({ state: "done", message: "No asset selected" });
@@ -1110,13 +1322,25 @@ function LiveAssetMetadataDefaultField() {
     // Determine whether the asset actually changed (vs an event firing before persisted state converges).
     // We key by selected resource + assetField to survive UI remounts without using localStorage.
     const selectionKey = `${selectedResource || ""}|${config.assetField}`;
+    currentSelectionKeyRef.current = selectionKey;
+    showUndoEntry(selectionKey);
+    if (adoptedResources.has(selectedResource)) {
+      adoptedResources.delete(selectedResource);
+      // Copied/moved/restored block that already has text: its asset is the baseline, not a first selection.
+      if (valueRef.current && !lastDamPathBySelectionKey.get(selectionKey)) {
+        rememberAssetForSelection(selectionKey, resolvedAssetRef);
+        lastAppliedAssetRef.current = resolvedAssetRef;
+        lastSiblingsAppliedAssetRef.current = resolvedAssetRef;
+        trace("tick", `run=${seq}:adopted`, { reason, resolvedAssetRef });
+      }
+    }
     const prevAssetRef = lastDamPathBySelectionKey.get(selectionKey) || "";
     const assetChanged = Boolean(prevAssetRef) && prevAssetRef !== resolvedAssetRef;
     if (!prevAssetRef || assetChanged) {
-      lastDamPathBySelectionKey.set(selectionKey, resolvedAssetRef);
+      rememberAssetForSelection(selectionKey, resolvedAssetRef);
     }
 
-    // Overwrite policy (Option B):
+    // Overwrite policy (configurable, see OVERWRITE_POLICIES in assetMetadata.js). Default `onAssetChange` (Option B):
     // - Only auto-fill when a NEW asset is selected (i.e. the neighbor asset field changes).
     // - Do NOT auto-fill merely because the field is empty. Empty may be intentional.
     //
@@ -1128,63 +1352,253 @@ function LiveAssetMetadataDefaultField() {
       (reason.startsWith("ueEvent:aue:content-patch") || reason.startsWith("ueEvent:aue:content-details"));
     const isFirstAssetSelection = !prevAssetRef && Boolean(resolvedAssetRef) && isContentPatchEvent;
 
-    // Only apply for a new (or first) selection, and only once per resolvedDamPath.
-    const shouldApply =
-      (assetChanged || isFirstAssetSelection) &&
-      lastAppliedAssetRef.current !== resolvedAssetRef;
+    const undoneKey = `${selectionKey}|${resolvedAssetRef}`;
+    if (force) undoneAutoFillKeys.delete(undoneKey);
+    // The author undid the auto-fill for this asset; don't bring it (or its siblings) straight back.
+    const undone = undoneAutoFillKeys.has(undoneKey);
+    const ownShouldApply =
+      !undone &&
+      policyAllowsApply(config.overwritePolicy, {
+        force,
+        assetChanged,
+        isFirstAssetSelection,
+        notYetApplied: lastAppliedAssetRef.current !== resolvedAssetRef,
+        isEmpty: !valueRef.current,
+      });
+    // Mapped siblings: whether each one is empty is checked against `<resource>.json` when writing.
+    const siblingsShouldApply =
+      !undone &&
+      config.metadataMapping.length > 0 &&
+      policyAllowsApply(config.overwritePolicy, {
+        force,
+        assetChanged,
+        isFirstAssetSelection,
+        notYetApplied: lastSiblingsAppliedAssetRef.current !== resolvedAssetRef,
+        isEmpty: true,
+      });
+    const shouldApply = ownShouldApply || siblingsShouldApply;
 
-    if (resolvedAssetRef !== lastTraceResolvedDamPathRef.current) {
+    if (force || resolvedAssetRef !== lastTraceResolvedDamPathRef.current) {
       lastTraceResolvedDamPathRef.current = resolvedAssetRef;
       trace("tick", `run=${seq}:decision`, {
         reason,
+        policy: config.overwritePolicy,
+        force,
         assetChanged,
         isFirstAssetSelection,
         valueEmpty: !valueRef.current,
         prevDamPath: prevAssetRef || "(none)",
         lastApplied: lastAppliedAssetRef.current || "(none)",
         shouldApply: Boolean(shouldApply),
+        ownShouldApply,
+        siblingsShouldApply,
       });
     }
 
+    // A pending suggestion only makes sense for the asset (and component) it was computed for.
+    if (
+      suggestionRef.current &&
+      (suggestionRef.current.assetRef !== resolvedAssetRef || suggestionRef.current.selectionKey !== selectionKey)
+    ) {
+      setSuggestion(null);
+    }
+    if (
+      metadataChangeRef.current &&
+      (metadataChangeRef.current.assetRef !== resolvedAssetRef ||
+        metadataChangeRef.current.selectionKey !== selectionKey)
+    ) {
+      setMetadataChange(null);
+    }
+
     // Track what we're currently seeing for debugging only (not used for apply decisions).
     lastSeenAssetRef.current = resolvedAssetRef;
-    if (!shouldApply) return;
+    updateAssetContext({ resolvedDamPath, assetUrn, aemHost: aemHost || "", authScheme, token });
+
+    if (isPinned) {
+      // Treat the current asset as handled so unpinning doesn't immediately fill it.
+      lastAppliedAssetRef.current = resolvedAssetRef;
+      lastSiblingsAppliedAssetRef.current = resolvedAssetRef;
+      setStatus({ state: "done", message: "Pinned: auto-fill is off for this field" });
+      if (shouldApply) trace("tick", `run=${seq}:apply:skipped`, { reason, note: "pinned" });
+      return;
+    }
+    if (!shouldApply) {
+      // Same asset as before: check whether its metadata moved on since the field was filled.
+      const checkKey = `${selectionKey}|${resolvedAssetRef}`;
+      if (
+        config.detectMetadataChanges &&
+        config.overwritePolicy !== "never" &&
+        !metadataChangeCheckedRef.current.has(checkKey)
+      ) {
+        metadataChangeCheckedRef.current.add(checkKey);
+        // Best-effort background check: a failure here must not put the field into an error state.
+        await checkForMetadataChange({
+          seq,
+          reason,
+          selectionKey,
+          blockKey,
+          selectedResource,
+          resourcePath: urn?.path || "",
+          resolvedAssetRef,
+          resolvedDamPath,
+          aemHost,
+          authScheme,
+          token,
+          deliveryOrigin,
+          assetUrn,
+          signal,
+        }).catch((e) => {
+          if (isAbortError(e)) {
+            metadataChangeCheckedRef.current.delete(checkKey);
+            trace("tick", `run=${seq}:metadataChange:aborted`, { reason });
+            return;
+          }
+          trace("tick", `run=${seq}:metadataChange:error`, { reason, message: String(e?.message || e) });
+        });
+      }
+      return;
+    }
 
+    const sourceLabel = config.metadataTemplate ? "metadata template" : config.metadataKeys.join(", ");
     trace("tick", `run=${seq}:apply:start`, {
       reason,
       resolvedAssetRef,
-      metadataKey: config.metadataKey,
+      metadataKeys: config.metadataKeys.join(", "),
+      metadataTemplate: config.metadataTemplate || "(none)",
     });
-    setStatus({ state: "loading", message: `Fetching ${config.metadataKey}…` });
+    setStatus({ state: "loading", message: `Fetching ${sourceLabel}…` });
 
     // Protect against stale writes if the user changes selection while async work is in-flight.
     const applyToken = `${resolvedAssetRef}|${seq}`;
     applyTokenRef.current = applyToken;
 
-    const metadataJson = resolvedDamPath
-      ? await fetchDamMetadataJson({
-          aemHost,
-          assetPath: resolvedDamPath,
-          authScheme,
-          token,
-        })
-      : await fetchDeliveryMetadataJson({
-          deliveryOrigin,
-          assetUrn,
-        });
+    const metadataJson = await fetchAssetMetadata({
+      resolvedDamPath,
+      aemHost,
+      authScheme,
+      token,
+      deliveryOrigin,
+      assetUrn,
+      force,
+      signal,
+    });
+    throwIfAborted(signal);
     const keysSample = metadataJson ? Object.keys(metadataJson).slice(0, 18).join(", ") : "";
-    const resolved = resolveMetadataValue(metadataJson, config.metadataKey);
-    const metadataValue = stringifyMetadataValue(resolved.value);
+    const { resolved, metadataValue, placeholders, transformTrace } = resolveCandidate(metadataJson, urn?.path || "");
+    if (transformTrace.length) {
+      trace("tick", `run=${seq}:apply:transforms`, {
+        reason,
+        steps: transformTrace.map((t) => `${t.step}: ${summarize(t.before)} → ${summarize(t.after)}`),
+      });
+    }
+    if (showDebug) setDebug((d) => ({ ...d, transformSteps: transformTrace }));
+    if (placeholders) {
+      trace("tick", `run=${seq}:apply:template`, {
+        reason,
+        placeholders: placeholders.map(
+          (p) => `${p.expr}=${p.usedDefault ? "(default)" : p.resolvedKey || "(empty)"}`
+        ),
+      });
+    }
 
     trace("tick", `run=${seq}:apply:fetched`, {
       reason,
+      metadataKeyRequested: resolved.requestedKey || "(none)",
       metadataKeyResolved: resolved.resolvedKey || "(none)",
+      metadataKeyIndex: resolved.index,
       metadataValue,
     });
 
+    // Remember the asset per property (even if nothing changes), so we don't keep retrying.
+    const markApplied = () => {
+      if (ownShouldApply) lastAppliedAssetRef.current = resolvedAssetRef;
+      if (siblingsShouldApply) lastSiblingsAppliedAssetRef.current = resolvedAssetRef;
+    };
+
+    if (config.overwritePolicy === "never") {
+      // Display-only: remember the asset so we don't re-fetch, but never call `onChange`.
+      markApplied();
+      if (showDebug) {
+        setDebug((d) => ({
+          ...d,
+          metadataKeysSample: keysSample,
+          metadataKeyResolved: resolved.resolvedKey || "",
+        }));
+      }
+      setStatus({
+        state: "done",
+        message: metadataValue
+          ? `Asset ${resolved.resolvedKey || "metadata"}: ${metadataValue} (not applied)`
+          : `No value found for ${sourceLabel}`,
+      });
+      trace("tick", `run=${seq}:apply:skipped`, { reason, note: "policyNever", metadataValue });
+      return;
+    }
+
+    if (config.applyMode === "suggest") {
+      // Suggestion mode: never call `onChange` here; the author decides via Apply/Dismiss.
+      markApplied();
+      const siblingChanges = siblingsShouldApply
+        ? await resolveSiblingChanges({
+            metadataJson,
+            aemHost,
+            resourcePath: urn?.path || "",
+            authScheme,
+            token,
+            force,
+            signal,
+          })
+        : {};
+      if (applyTokenRef.current !== applyToken) {
+        trace("tick", `run=${seq}:suggest:aborted`, { reason, note: "superseded" });
+        return;
+      }
+      if (showDebug) {
+        setDebug((d) => ({
+          ...d,
+          metadataKeysSample: keysSample,
+          metadataKeyResolved: resolved.resolvedKey || "",
+        }));
+      }
+      const dismissKey = `${selectionKey}|${resolvedAssetRef}`;
+      // A manual refresh brings a dismissed suggestion back.
+      if (force) dismissedSuggestionKeys.delete(dismissKey);
+      if (dismissedSuggestionKeys.has(dismissKey)) {
+        setSuggestion(null);
+        setStatus({ state: "done", message: "Suggestion dismissed for this asset" });
+        trace("tick", `run=${seq}:suggest:skipped`, { reason, note: "dismissed" });
+        return;
+      }
+      const applyOwn = ownShouldApply && Boolean(metadataValue) && metadataValue !== (valueRef.current || "");
+      if (!applyOwn && Object.keys(siblingChanges).length === 0) {
+        setSuggestion(null);
+        setStatus({
+          state: "done",
+          message: metadataValue ? "Field already matches the asset metadata" : `No value found for ${sourceLabel}`,
+        });
+        trace("tick", `run=${seq}:suggest:skipped`, { reason, note: metadataValue ? "noChange" : "noValue" });
+        return;
+      }
+      setSuggestion({
+        value: metadataValue,
+        applyOwn,
+        siblings: siblingChanges,
+        resolvedKey: resolved.resolvedKey || "",
+        assetRef: resolvedAssetRef,
+        source: resolvedDamPath ? "dam" : "delivery",
+        resource: selectedResource,
+        resourcePath: urn?.path || "",
+        selectionKey,
+        blockKey,
+      });
+      setStatus({ state: "done", message: `Suggested from ${resolved.resolvedKey || sourceLabel}` });
+      trace("tick", `run=${seq}:suggest:shown`, { reason, metadataValue, applyOwn, siblings: Object.keys(siblingChanges) });
+      return;
+    }
+
     await withBlockWriteLock(blockKey, async () => {
       // Abort if newer apply attempt superseded this one.
-      if (applyTokenRef.current !== applyToken) {
+      if (signal.aborted || applyTokenRef.current !== applyToken) {
         trace("tick", `run=${seq}:apply:aborted`, { reason, note: "superseded" });
         return;
       }
@@ -1202,16 +1616,66 @@ function LiveAssetMetadataDefaultField() {
       // a necessary write (especially when clearing to "").
       const currentValue = valueRef.current || "";
 
-      // Mark as applied for this asset even if value matches, so we don't keep retrying.
-      lastAppliedAssetRef.current = resolvedAssetRef;
-
-      if (metadataValue !== currentValue) {
+      // Mapped sibling properties: same metadata JSON, stored values read under the lock.
+      const siblingChanges = siblingsShouldApply
+        ? await resolveSiblingChanges({
+            metadataJson,
+            aemHost,
+            resourcePath: urn?.path || "",
+            authScheme,
+            token,
+            force,
+            signal,
+          })
+        : {};
+      const siblingsWritten = Object.keys(siblingChanges).length;
+
+      markApplied();
+
+      if (ownShouldApply) setMetadataChange(null);
+      const ownWritten = ownShouldApply && metadataValue !== currentValue;
+      if (ownWritten || siblingsWritten) {
+        rememberUndoEntry(selectionKey, {
+          previousValue: currentValue,
+          appliedValue: ownWritten ? metadataValue : currentValue,
+          siblings: siblingChanges,
+          resource: selectedResource,
+          resourcePath: urn?.path || "",
+          assetRef: resolvedAssetRef,
+          blockKey,
+          appliedAt: Date.now(),
+        });
+      }
+      if (ownWritten) {
         connection.host.field.onChange(metadataValue);
         setValue(metadataValue);
         valueRef.current = metadataValue;
-      } else {
+      } else if (ownShouldApply) {
         trace("tick", `run=${seq}:apply:skipped`, { reason, note: "noChange" });
       }
+      // Siblings and the provenance record go out together, one content patch after the field's own write.
+      await writeSiblingPatch({
+        resource: selectedResource,
+        resourcePath: urn?.path || "",
+        props: siblingPatch(siblingChanges, "next"),
+        record: ownShouldApply
+          ? applyProvenance({
+              resourcePath: urn?.path || "",
+              asset: resolvedAssetRef,
+              key: resolved.resolvedKey,
+              source: resolvedDamPath ? "dam" : "delivery",
+              value: metadataValue,
+            })
+          : undefined,
+        afterOwnWrite: ownWritten,
+      });
+      if (siblingsShouldApply) {
+        trace("tick", `run=${seq}:apply:siblings`, {
+          reason,
+          mapped: config.metadataMapping.map((m) => m.prop),
+          written: Object.keys(siblingChanges),
+        });
+      }
 
       if (showDebug) {
         setDebug((d) => ({
@@ -1220,14 +1684,47 @@ function LiveAssetMetadataDefaultField() {
           metadataKeyResolved: resolved.resolvedKey || "",
         }));
       }
-      setStatus({
-        state: "done",
-        message: metadataValue
-          ? `Auto-filled from ${resolved.resolvedKey || config.metadataKey}`
-          : `No value found for ${config.metadataKey}`,
-      });
-      trace("tick", `run=${seq}:apply:done`, { reason, newAlt: metadataValue });
+      const siblingsNote = `${siblingsWritten} sibling field${siblingsWritten === 1 ? "" : "s"}`;
+      let message;
+      if (!ownShouldApply) {
+        message = siblingsWritten
+          ? `Auto-filled ${siblingsNote} (this field is unchanged)`
+          : "Sibling fields already match the asset metadata";
+      } else if (config.metadataTemplate) {
+        message = metadataValue
+          ? `Auto-filled from template (${resolved.resolvedKey || "defaults only"})`
+          : "No value found for metadata template";
+      } else {
+        message = metadataValue
+          ? `Auto-filled from ${resolved.resolvedKey || resolved.requestedKey}` +
+            (config.metadataKeys.length > 1 ? ` (key ${resolved.index + 1} of ${config.metadataKeys.length})` : "")
+          : `No value found for ${config.metadataKeys.join(", ")}`;
+      }
+      if (ownShouldApply && siblingsWritten) message += ` (+${siblingsNote})`;
+      setStatus({ state: "done", message });
+      trace("tick", `run=${seq}:apply:done`, { reason, newAlt: ownShouldApply ? metadataValue : "(unchanged)" });
+    });
+  };
+
+  /**
+   * Report a failed run. Temporary failures were already retried (see fetchFailures.js), and hosts that
+   * keep failing are paused by the circuit breaker, so the next event simply runs again.
+   * @param {any} e
+   */
+  const handleRunError = (e) => {
+    // A superseded run was cancelled on purpose (already traced as `run=N:aborted`); not an error.
+    if (isAbortError(e)) return;
+    const msg = String(e?.message || e);
+    setStatus({ state: "error", message: failureMessage(e) });
+    if (showDebug) setDebug((d) => ({ ...d, lastError: msg }));
+    trace("tick", "AssetMetadataDefaultField:run:failed", {
+      kind: e instanceof FetchFailure ? e.kind : "unknown",
+      status: e?.status || 0,
+      breakerOpen: Boolean(e?.breakerOpen),
+      message: msg,
     });
+    // eslint-disable-next-line no-console
+    console.error(e);
   };
 
   // Schedule a runOnce (debounced) for bursty event streams.
@@ -1237,28 +1734,106 @@ function LiveAssetMetadataDefaultField() {
     runScheduledRef.current = true;
     setTimeout(() => {
       runScheduledRef.current = false;
-      runOnce(reason).catch((e) => {
-        const msg = String(e?.message || e);
-        setStatus({ state: "error", message: msg });
-        if (showDebug) setDebug((d) => ({ ...d, lastError: msg }));
-        cooldownUntilRef.current = Date.now() + 8000;
-        // eslint-disable-next-line no-console
-        console.error(e);
-      });
+      runOnce(reason).catch(handleRunError);
     }, 25);
   };
 
+  // Toggle the pin flag stored in the configured sibling property of the authored component.
+  const togglePinned = async () => {
+    const ctx = lastContextRef.current;
+    if (!connection || !config.pinField || !ctx.selectedResource) return;
+    const next = !pinStateRef.current.pinned;
+    try {
+      await withBlockWriteLock(currentBlockKeyRef.current, async () => {
+        await updateComponentProps(connection, {
+          resource: ctx.selectedResource,
+          props: { [config.pinField]: next },
+        });
+      });
+    } catch (e) {
+      const msg = String(e?.message || e);
+      setStatus({ state: "error", message: `Could not update the pin: ${msg}` });
+      if (showDebug) setDebug((d) => ({ ...d, lastError: msg }));
+      return;
+    }
+    pinStateRef.current = {
+      resourcePath: ctx.resourcePath,
+      pinned: next,
+      pendingUntil: Date.now() + SIBLING_WRITE_CONVERGENCE_MS,
+    };
+    setPinned(next);
+    setStatus({
+      state: "done",
+      message: next ? "Pinned: auto-fill is off for this field" : "Unpinned: auto-fill is on again",
+    });
+    trace("tick", "AssetMetadataDefaultField:pin:toggled", { pinned: next, pinField: config.pinField });
+  };
+
+  // Manual "Refresh from asset": re-fetch and re-apply for the current asset right away.
+  const refreshFromAsset = () => {
+    if (!connection) return;
+    // An explicit refresh is worth a real request even if a host was paused after failures.
+    resetCircuitBreakers();
+    trace("tick", "AssetMetadataDefaultField:refresh:requested");
+    runOnce("manual:refresh", { force: true }).catch(handleRunError);
+  };
+
+  const stopConvergenceWatch = () => {
+    const watch = convergenceWatchRef.current;
+    if (!watch) return;
+    clearTimeout(watch.timer);
+    convergenceWatchRef.current = null;
+  };
+
   /**
-   * Re-check shortly after an event. In practice, `aue:content-patch` can arrive before
-   * `host.editorState.get()` reflects the new values. A couple delayed runs makes this
-   * robust without reverting to constant polling.
+   * Evaluate after a content event, then keep polling until persisted state has converged.
    *
-   * @param {number} ms
-   * @param {string} reason
+   * In practice, `aue:content-patch` can arrive before `<resource>.json` (and `editorState`) reflect the
+   * new values. Each poll is a full run flagged with `convergence`; the run reports whether the
+   * persisted asset matched the selection (see runOnce). Polls back off from CONVERGENCE_FIRST_POLL_MS
+   * up to CONVERGENCE_MAX_POLL_MS and stop at `convergenceTimeout`. A newer event restarts the watch.
+   *
+   * @param {string} eventName
    */
-  const scheduleRunAfter = (ms, reason) => {
+  const startConvergenceWatch = (eventName) => {
     if (!connection) return;
-    setTimeout(() => scheduleRun(reason), ms);
+    stopConvergenceWatch();
+    const watch = { eventName, startedAt: Date.now(), attempt: 0, timer: null };
+    convergenceWatchRef.current = watch;
+
+    const poll = async () => {
+      if (convergenceWatchRef.current !== watch) return;
+      watch.attempt += 1;
+      const elapsedMs = Date.now() - watch.startedAt;
+      const deadlineReached = elapsedMs >= config.convergenceTimeoutMs;
+      let converged;
+      try {
+        converged = await runOnce(`ueEvent:${eventName}`, {
+          convergence: { attempt: watch.attempt, elapsedMs, deadlineReached },
+        });
+      } catch (e) {
+        // Failed (already retried) or superseded by another selection: this watch is over either way.
+        if (convergenceWatchRef.current === watch) stopConvergenceWatch();
+        handleRunError(e);
+        return;
+      }
+      if (convergenceWatchRef.current !== watch) return;
+      if (converged || deadlineReached) {
+        trace("tick", converged ? "convergence:converged" : "convergence:timeout", {
+          eventName,
+          elapsedMs: Date.now() - watch.startedAt,
+          polls: watch.attempt,
+        });
+        stopConvergenceWatch();
+        return;
+      }
+      const remainingMs = Math.max(0, watch.startedAt + config.convergenceTimeoutMs - Date.now());
+      const delayMs = Math.min(CONVERGENCE_MAX_POLL_MS, CONVERGENCE_FIRST_POLL_MS * 2 ** (watch.attempt - 1));
+      watch.timer = setTimeout(poll, Math.min(delayMs, remainingMs));
+    };
+
+    // Short debounce, like scheduleRun, so bursts of events restart the watch instead of stacking polls.
+    watch.timer = setTimeout(poll, 25);
   };
 
   // Keep local state in sync when user edits.
@@ -1268,6 +1843,309 @@ function LiveAssetMetadataDefaultField() {
     setValue(v);
     valueRef.current = v;
     connection?.host?.field?.onChange(v);
+    // Typing after an auto-fill replaces what "Undo" would restore; don't offer it anymore.
+    if (undoEntry) {
+      undoEntryBySelectionKey.delete(undoEntry.selectionKey);
+      setUndoEntry(null);
+    }
+  };
+
+  /**
+   * Write an author-approved candidate (suggestion or "metadata changed" update) through the same
+   * per-block lock as auto-fill. A suggestion may carry mapped sibling changes and may leave the own
+   * field alone (`applyOwn: false`, e.g. `ifEmpty` with text in the field).
+   *
+   * @param {{value: string, applyOwn?: boolean, siblings?: SiblingChanges, resolvedKey: string, assetRef: string, source: "dam"|"delivery", resource: string, resourcePath: string, blockKey: string}} pending
+   * @param {string} traceName
+   */
+  const writeCandidate = async (pending, traceName) => {
+    await withBlockWriteLock(pending.blockKey, async () => {
+      if (lastSeenAssetRef.current && lastSeenAssetRef.current !== pending.assetRef) {
+        trace("tick", `AssetMetadataDefaultField:${traceName}:applyAborted`, { note: "assetChanged" });
+        return;
+      }
+      const applyOwn = pending.applyOwn !== false;
+      if (applyOwn) {
+        connection.host.field.onChange(pending.value);
+        setValue(pending.value);
+        valueRef.current = pending.value;
+      }
+      await writeSiblingPatch({
+        resource: pending.resource,
+        resourcePath: pending.resourcePath,
+        props: siblingPatch(pending.siblings, "next"),
+        record: applyOwn
+          ? applyProvenance({
+              resourcePath: pending.resourcePath,
+              asset: pending.assetRef,
+              key: pending.resolvedKey,
+              source: pending.source,
+              value: pending.value,
+            })
+          : undefined,
+        afterOwnWrite: applyOwn,
+      });
+      setStatus({ state: "done", message: `Applied from ${pending.resolvedKey || "asset metadata"}` });
+      trace("tick", `AssetMetadataDefaultField:${traceName}:applied`, { value: summarize(pending.value) });
+    });
+  };
+
+  // Suggestion mode: write the pending suggestion.
+  const applySuggestion = async () => {
+    const pending = suggestionRef.current;
+    if (!pending || !connection) return;
+    await writeCandidate(pending, "suggest");
+    if (suggestionRef.current === pending) setSuggestion(null);
+  };
+
+  // "Asset metadata has changed": take the fresh DAM/Delivery value.
+  const applyMetadataChange = async () => {
+    const pending = metadataChangeRef.current;
+    if (!pending || !connection) return;
+    await writeCandidate(pending, "metadataChange");
+    if (metadataChangeRef.current === pending) setMetadataChange(null);
+  };
+
+  const keepCurrentValue = () => {
+    const pending = metadataChangeRef.current;
+    if (!pending) return;
+    ignoredMetadataChangeKeys.add(pending.ignoreKey);
+    setMetadataChange(null);
+    setStatus({ state: "done", message: "Kept the current value" });
+    trace("tick", "AssetMetadataDefaultField:metadataChange:ignored", { assetRef: summarize(pending.assetRef) });
+  };
+
+  // "Save to asset", step 1: ask for confirmation (refuse Delivery-only assets up front).
+  const requestSaveToAsset = () => {
+    const ctx = assetContextRef.current;
+    if (!ctx) return;
+    if (!ctx.resolvedDamPath) {
+      setStatus({
+        state: "error",
+        message: "This asset is only available via Delivery (URN) and its metadata can't be updated from here.",
+      });
+      return;
+    }
+    setSaveToAsset({ phase: "confirm", value: valueRef.current || "" });
+  };
+
+  // "Save to asset", step 2: write the confirmed value to the DAM asset.
+  const confirmSaveToAsset = async () => {
+    const ctx = assetContextRef.current;
+    const pending = saveToAsset;
+    if (!ctx || !ctx.resolvedDamPath || !pending) return;
+    setSaveToAsset({ ...pending, phase: "saving" });
+    setStatus({ state: "loading", message: `Saving ${config.metadataKey} to the asset…` });
+    try {
+      await saveDamMetadataValue({
+        aemHost: ctx.aemHost,
+        assetPath: ctx.resolvedDamPath,
+        key: config.metadataKey,
+        value: pending.value,
+        authScheme: ctx.authScheme,
+        token: ctx.token,
+      });
+      // Other renderers/pages must not keep serving the previous metadata from the shared cache.
+      invalidateSharedCache(`metadata:dam:${ctx.aemHost}${ctx.resolvedDamPath}`, { broadcast: true });
+      await invalidatePersistentCache(`metadata:dam:${ctx.aemHost}${ctx.resolvedDamPath}`);
+      setStatus({ state: "done", message: `Saved to ${config.metadataKey} on the asset` });
+      trace("tick", "AssetMetadataDefaultField:saveToAsset:done", {
+        assetPath: ctx.resolvedDamPath,
+        key: config.metadataKey,
+      });
+    } catch (e) {
+      const msg = String(e?.message || e);
+      setStatus({ state: "error", message: msg });
+      if (showDebug) setDebug((d) => ({ ...d, lastError: msg }));
+      trace("tick", "AssetMetadataDefaultField:saveToAsset:error", { message: msg });
+    } finally {
+      setSaveToAsset(null);
+    }
+  };
+
+  // Debug control: drop cached metadata in every layer (this iframe, other iframes, IndexedDB).
+  const clearMetadataCaches = async () => {
+    invalidateSharedCache("", { broadcast: true });
+    await clearPersistentCache();
+    setDebug((d) => ({ ...d, cacheStats: `${d.cacheStats || ""} (cleared)`.trim() }));
+  };
+
+  // Restore the value from before the last auto-fill and keep that asset from re-applying right away.
+  const undoAutoFill = async () => {
+    const entry = undoEntry;
+    if (!entry || !connection) return;
+    await withBlockWriteLock(entry.blockKey, async () => {
+      if (currentSelectionKeyRef.current !== entry.selectionKey) return;
+      undoneAutoFillKeys.add(`${entry.selectionKey}|${entry.assetRef}`);
+      undoEntryBySelectionKey.delete(entry.selectionKey);
+      lastAppliedAssetRef.current = entry.assetRef;
+      lastSiblingsAppliedAssetRef.current = entry.assetRef;
+      const restoreOwn = entry.previousValue !== entry.appliedValue;
+      if (restoreOwn) {
+        connection.host.field.onChange(entry.previousValue);
+        setValue(entry.previousValue);
+        valueRef.current = entry.previousValue;
+      }
+      // Mapped siblings the same auto-fill changed get their previous values back, and so does the
+      // provenance record when the write replaced it (bulk mode).
+      await writeSiblingPatch({
+        resource: entry.resource,
+        resourcePath: entry.resourcePath,
+        props: siblingPatch(entry.siblings, "previous"),
+        record: entry.previousProvenance === undefined ? undefined : parseProvenance(entry.previousProvenance),
+        afterOwnWrite: restoreOwn,
+      });
+      setStatus({ state: "done", message: "Auto-fill undone" });
+      trace("tick", "AssetMetadataDefaultField:undo:applied", { assetRef: summarize(entry.assetRef) });
+    });
+    setUndoEntry(null);
+  };
+
+  // Close the undo window when it expires.
+  useEffect(() => {
+    if (!undoEntry) return;
+    const remaining = UNDO_WINDOW_MS - (Date.now() - undoEntry.appliedAt);
+    const timer = setTimeout(() => setUndoEntry(null), Math.max(0, remaining));
+    return () => clearTimeout(timer);
+  }, [undoEntry]);
+
+  // Cancel in-flight fetches when the renderer goes away (e.g. the author selected another component).
+  useEffect(() => {
+    const activeRuns = activeRunsRef.current;
+    return () => {
+      activeRuns.forEach((run) => run.controller.abort());
+      activeRuns.clear();
+    };
+  }, []);
+
+  /**
+   * Show a bulk write to the renderer's own component (value and provenance) in this field. The host
+   * value (`host.field.getValue()`) may still be stale right after the patch, so take the written one.
+   *
+   * @param {BulkRow} row
+   * @param {string} value
+   * @param {any} record provenance record written with it (`null` when none)
+   */
+  const showOwnBulkWrite = (row, value, record) => {
+    if (!row.isOwn) return;
+    setValue(value);
+    valueRef.current = value;
+    if (!config.provenanceField) return;
+    provenanceStateRef.current = {
+      resourcePath: row.resourcePath,
+      record,
+      pendingUntil: Date.now() + SIBLING_WRITE_CONVERGENCE_MS,
+    };
+    setProvenance(record);
+  };
+
+  /**
+   * Bulk mode "Apply to all": write each pending row's candidate (and its provenance record, in the
+   * same patch) into this field's property on its component, one block at a time through the
+   * per-block write lock. Each write gets an undo entry, offered here as "Undo apply to all" and on
+   * the component itself once it is selected alone.
+   */
+  const applyBulk = async () => {
+    const current = bulkRef.current;
+    if (!connection || !current || current.applying) return;
+    const ownProp = normalizeProp(model?.name || "");
+    const rows = current.rows.slice();
+    const undo = [];
+    setBulk({ rows, applying: true, undo: null });
+    let applied = 0;
+    for (let i = 0; i < rows.length; i += 1) {
+      const row = rows[i];
+      if (!isBulkRowPending(row, config.overwritePolicy)) continue;
+      const props = { [ownProp]: row.candidate };
+      const record = config.provenanceField
+        ? buildProvenance({ asset: row.assetRef, key: row.resolvedKey, source: row.source, value: row.candidate })
+        : null;
+      if (record) props[config.provenanceField] = serializeProvenance(record);
+      try {
+        await withBlockWriteLock(row.blockKey, async () => {
+          await updateComponentProps(connection, { resource: row.resource, props });
+        });
+        const selectionKey = `${row.resource}|${config.assetField}`;
+        rememberAssetForSelection(selectionKey, row.assetRef);
+        const entry = {
+          previousValue: row.currentValue,
+          appliedValue: row.candidate,
+          siblings: {},
+          resource: row.resource,
+          resourcePath: row.resourcePath,
+          assetRef: row.assetRef,
+          blockKey: row.blockKey,
+          appliedAt: Date.now(),
+          previousProvenance: row.previousProvenance,
+        };
+        rememberUndoEntry(selectionKey, entry, { show: false });
+        undo.push(entry);
+        showOwnBulkWrite(row, row.candidate, record);
+        rows[i] = { ...row, state: "applied", currentValue: row.candidate };
+        applied += 1;
+      } catch (e) {
+        rows[i] = { ...row, state: "error", message: String(e?.message || e) };
+      }
+      setBulk({ rows: rows.slice(), applying: true, undo: null });
+    }
+    setBulk({ rows, applying: false, undo: undo.length ? undo : null });
+    setStatus({ state: "done", message: `Applied to ${applied} of ${rows.length} components` });
+    trace("tick", "AssetMetadataDefaultField:bulk:applied", { applied, total: rows.length });
+  };
+
+  // Bulk mode "Undo apply to all": restore the values (and provenance) from before the last "Apply to all".
+  const undoBulk = async () => {
+    const current = bulkRef.current;
+    if (!connection || !current || current.applying || !current.undo) return;
+    const ownProp = normalizeProp(model?.name || "");
+    const rows = current.rows.slice();
+    setBulk({ rows, applying: true, undo: null });
+    let restored = 0;
+    for (const entry of current.undo) {
+      const i = rows.findIndex((r) => r.resource === entry.resource);
+      const props = { [ownProp]: entry.previousValue };
+      if (config.provenanceField) props[config.provenanceField] = entry.previousProvenance || "";
+      try {
+        await withBlockWriteLock(entry.blockKey, async () => {
+          await updateComponentProps(connection, { resource: entry.resource, props });
+        });
+        const selectionKey = `${entry.resource}|${config.assetField}`;
+        undoEntryBySelectionKey.delete(selectionKey);
+        // Like a single undo: don't fill that asset again right away.
+        undoneAutoFillKeys.add(`${selectionKey}|${entry.assetRef}`);
+        if (i >= 0) {
+          showOwnBulkWrite(rows[i], entry.previousValue, parseProvenance(entry.previousProvenance));
+          rows[i] = { ...rows[i], state: "ready", currentValue: entry.previousValue };
+        }
+        restored += 1;
+      } catch (e) {
+        if (i >= 0) rows[i] = { ...rows[i], state: "error", message: String(e?.message || e) };
+      }
+      setBulk({ rows: rows.slice(), applying: true, undo: null });
+    }
+    setBulk({ rows, applying: false, undo: null });
+    setStatus({ state: "done", message: `Restored ${restored} of ${current.undo.length} components` });
+    trace("tick", "AssetMetadataDefaultField:bulk:undone", { restored, total: current.undo.length });
+  };
+
+  // Close the bulk undo window when it expires.
+  useEffect(() => {
+    const entries = bulk?.undo;
+    if (!entries) return;
+    const remaining = UNDO_WINDOW_MS - (Date.now() - entries[0].appliedAt);
+    const timer = setTimeout(() => {
+      if (bulkRef.current?.undo === entries) setBulk({ ...bulkRef.current, undo: null });
+    }, Math.max(0, remaining));
+    return () => clearTimeout(timer);
+  }, [bulk]);
+
+  const dismissSuggestion = () => {
+    const pending = suggestionRef.current;
+    if (!pending) return;
+    dismissedSuggestionKeys.add(`${pending.selectionKey}|${pending.assetRef}`);
+    setSuggestion(null);
+    setStatus({ state: "done", message: "Suggestion dismissed for this asset" });
+    trace("tick", "AssetMetadataDefaultField:suggest:dismissed", { assetRef: summarize(pending.assetRef) });
   };
 
   useEffect(() => {
@@ -1275,29 +2153,31 @@ function LiveAssetMetadataDefaultField() {
     // Initial evaluation once the connection exists.
     scheduleRun("initial");
 
-    const onStorage = (e) => {
-      if (!e || e.key !== "ue.assetmetadatadefaults.lastUeEvent") return;
+    const onUeEvent = (event) => {
       try {
-        const parsed = JSON.parse(String(e.newValue || "{}"));
-        const name = String(parsed?.eventName || "");
-        const ts = Number(parsed?.ts || 0);
-        if (ts && ts === lastUeEventTsRef.current) return;
-        if (ts) lastUeEventTsRef.current = ts;
+        const name = event.eventName;
+        if (event.replayed) {
+          trace("tick", "AssetMetadataDefaultField:ueEvent:replayed", { name, seq: event.seq });
+          // A late mount only needs the current selection; a replayed edit would look like a live asset change.
+          if (name !== "aue:ui-select") return;
+        }
         // Only react to events likely to impact authored values / selection.
         if (!name) return;
+        // Structure changes retire or create resources; both change `<resource>.json` like content patches.
+        const isStructureEvent = applyStructureEvent(event);
+        // `<resource>.json` changes with content patches; drop cached component JSON in this iframe.
+        if (name === "aue:content-patch" || isStructureEvent) invalidateSharedCache("component:");
         if (
           name === "aue:content-patch" ||
           name === "aue:content-details" ||
           name === "aue:ui-select" ||
           name.startsWith("aue:")
         ) {
-          scheduleRun(`ueEvent:${name}`);
-          // For content patches, re-check after a short delay in case editorState is not yet updated.
+          // Content patches may arrive before persisted state reflects them: watch until it converges.
           if (name === "aue:content-patch" || name === "aue:content-details") {
-            scheduleRunAfter(250, `ueEvent:${name}:retry250`);
-            scheduleRunAfter(1000, `ueEvent:${name}:retry1000`);
-            scheduleRunAfter(2000, `ueEvent:${name}:retry2000`);
-            scheduleRunAfter(5000, `ueEvent:${name}:retry5000`);
+            startConvergenceWatch(name);
+          } else {
+            scheduleRun(`ueEvent:${name}`);
           }
         }
       } catch {
@@ -1305,11 +2185,12 @@ function LiveAssetMetadataDefaultField() {
       }
     };
 
-    window.addEventListener("storage", onStorage);
+    const unsubscribe = subscribeUeEvents(onUeEvent);
     return () => {
-      window.removeEventListener("storage", onStorage);
+      unsubscribe();
+      stopConvergenceWatch();
     };
-  }, [connection, config.assetField, config.metadataKey, showDebug]);
+  }, [connection, config, showDebug]);
 
   if (!isEmbedded) {
     return (
@@ -1326,63 +2207,243 @@ function LiveAssetMetadataDefaultField() {
 
   return (
     <Provider theme={lightTheme} colorScheme="light">
-      <View padding="size-100">
-        <Flex direction="column" gap="size-75">
-          <TextField
-            label={model?.label || model?.name || "Value"}
-            aria-label={model?.label || model?.name || "Value"}
-            value={value}
-            isReadOnly={isReadOnly}
-            onChange={isReadOnly ? undefined : onChange}
-            width="100%"
-          />
-
-          <Flex direction="row" alignItems="center" gap="size-65">
-            {status.state === "loading" && <ProgressCircle size="S" aria-label="Loading" isIndeterminate />}
-            <Text>
-              {status.message ||
-                `Defaults: ${config.assetField} → ${config.metadataKey}`}
-            </Text>
-          </Flex>
-
-          {showDebug && (
-            <View paddingTop="size-50">
-              <Text>
-                Debug: asset={debug.assetPath || "(none)"} | aemHost={debug.aemHost || "(none)"}
-              </Text>
-              <Text>
-                Debug: selectedResource={debug.selectedResource ? String(debug.selectedResource).slice(0, 48) + "…" : "(none)"} | neighborProp={debug.neighborProp || "(none)"}
-              </Text>
-              <Text>
-                Debug: connectionName={debug.connectionName || "(none)"} | connections={debug.connectionsKeys || "(none)"}
-              </Text>
-              <Text>
-                Debug: connectionValue={debug.connectionValue || "(none)"} | customTokens={debug.customTokensKeys || "(none)"}
-              </Text>
-              <Text>
-                Debug: customTokenValue={debug.customTokenValue || "(none)"} | resolvedDamPath={debug.resolvedDamPath || "(none)"}
-              </Text>
-              <Text>
-                Debug: parsedHostFromConnectionValue={debug.parsedHostFromConnectionValue || "(none)"}
-              </Text>
-              <Text>
-                Debug: metadataKeyResolved={debug.metadataKeyResolved || "(none)"}
+      <div ref={rootRef}>
+        <View padding="size-100">
+          <Flex direction="column" gap="size-75">
+            <TextField
+              label={model?.label || model?.name || "Value"}
+              aria-label={model?.label || model?.name || "Value"}
+              value={value}
+              isRequired={Boolean(validationRules?.required)}
+              validationState={validation.valid ? undefined : "invalid"}
+              errorMessage={validation.message || undefined}
+              isReadOnly={isReadOnly}
+              onChange={isReadOnly ? undefined : onChange}
+              width="100%"
+            />
+
+            {qualityWarnings.map((w) => (
+              <Text key={w.rule} UNSAFE_style={{ color: "#8a5a00" }}>
+                ⚠ {w.message}
               </Text>
+            ))}
+
+            {bulk && (
+              <View borderWidth="thin" borderColor="dark" borderRadius="small" padding="size-75">
+                <Flex direction="column" gap="size-50">
+                  <Text>{bulk.rows.length} components selected</Text>
+                  {bulk.rows.map((row) => (
+                    <Text key={row.resource}>
+                      {row.label || "(no asset)"}: {describeBulkRow(row, config.overwritePolicy)}
+                    </Text>
+                  ))}
+                  <Flex direction="row" gap="size-100">
+                    <ActionButton
+                      onPress={() => applyBulk().catch(console.error)}
+                      isDisabled={
+                        bulk.applying || !bulk.rows.some((r) => isBulkRowPending(r, config.overwritePolicy))
+                      }
+                    >
+                      Apply to all ({bulk.rows.filter((r) => isBulkRowPending(r, config.overwritePolicy)).length})
+                    </ActionButton>
+                    {bulk.undo && (
+                      <ActionButton isQuiet onPress={() => undoBulk().catch(console.error)} isDisabled={bulk.applying}>
+                        <Undo />
+                        <Text>Undo apply to all</Text>
+                      </ActionButton>
+                    )}
+                  </Flex>
+                </Flex>
+              </View>
+            )}
+
+            {suggestion && (
+              <View borderWidth="thin" borderColor="dark" borderRadius="small" padding="size-75">
+                <Flex direction="column" gap="size-50">
+                  {suggestion.applyOwn && (
+                    <Text>Suggested ({suggestion.resolvedKey || "asset metadata"}): {suggestion.value}</Text>
+                  )}
+                  {suggestion.applyOwn && value && value !== suggestion.value && (
+                    <Text>
+                      Changes:{" "}
+                      {diffWords(value, suggestion.value).map((part, i) => (
+                        <span
+                          key={`${i}-${part.type}`}
+                          style={
+                            part.type === "added"
+                              ? { backgroundColor: "#d7f7dc", color: "#0a5c1a" }
+                              : part.type === "removed"
+                                ? { backgroundColor: "#fde2e2", color: "#b40000", textDecoration: "line-through" }
+                                : undefined
+                          }
+                        >
+                          {part.text}
+                        </span>
+                      ))}
+                    </Text>
+                  )}
+                  {Object.keys(suggestion.siblings || {}).map((prop) => (
+                    <Text key={prop}>
+                      {prop}: “{suggestion.siblings[prop].previous || "(empty)"}” → “{suggestion.siblings[prop].next}”
+                    </Text>
+                  ))}
+                  <Flex direction="row" gap="size-100">
+                    <ActionButton onPress={() => applySuggestion().catch(console.error)}>
+                      Apply
+                    </ActionButton>
+                    <ActionButton onPress={dismissSuggestion}>Dismiss</ActionButton>
+                  </Flex>
+                </Flex>
+              </View>
+            )}
+
+            {metadataChange && !suggestion && (
+              <View borderWidth="thin" borderColor="dark" borderRadius="small" padding="size-75">
+                <Flex direction="column" gap="size-50">
+                  <Text>
+                    {metadataChange.editedByHand
+                      ? "Asset metadata has changed since this field was auto-filled, and the text was edited by hand. Replace your text?"
+                      : metadataChange.editedByHand === false
+                        ? "Asset metadata has changed — update?"
+                        : "Asset metadata differs from the current text — update?"}
+                  </Text>
+                  <Text>
+                    New value ({metadataChange.resolvedKey || "asset metadata"}): {metadataChange.value}
+                  </Text>
+                  <Flex direction="row" gap="size-100">
+                    <ActionButton onPress={() => applyMetadataChange().catch(console.error)}>
+                      {metadataChange.editedByHand ? "Replace" : "Update"}
+                    </ActionButton>
+                    <ActionButton onPress={keepCurrentValue}>Keep current</ActionButton>
+                  </Flex>
+                </Flex>
+              </View>
+            )}
+
+            <Flex direction="row" alignItems="center" gap="size-65">
+              <ActionButton
+                isQuiet
+                aria-label="Refresh from asset"
+                onPress={refreshFromAsset}
+                isDisabled={status.state === "loading" || pinned}
+              >
+                <Refresh />
+              </ActionButton>
+              {config.pinField && (
+                <ToggleButton
+                  isQuiet
+                  aria-label={pinned ? "Unpin (allow auto-fill)" : "Pin (stop auto-fill)"}
+                  isSelected={pinned}
+                  onChange={() => togglePinned().catch(console.error)}
+                >
+                  {pinned ? <PinOn /> : <PinOff />}
+                </ToggleButton>
+              )}
+              {undoEntry && (
+                <ActionButton isQuiet onPress={() => undoAutoFill().catch(console.error)}>
+                  <Undo />
+                  <Text>Undo auto-fill</Text>
+                </ActionButton>
+              )}
+              {config.allowSaveToAsset && !config.metadataTemplate && assetContext && !saveToAsset && (
+                <ActionButton isQuiet onPress={requestSaveToAsset} isDisabled={!value}>
+                  <Text>Save to asset</Text>
+                </ActionButton>
+              )}
+              {status.state === "loading" && <ProgressCircle size="S" aria-label="Loading" isIndeterminate />}
               <Text>
-                Debug: metadataKeysSample={debug.metadataKeysSample || "(none)"}
+                {status.message ||
+                  `Defaults: ${config.assetField} → ${config.metadataTemplate || config.metadataKeys.join(", ")}`}
               </Text>
+            </Flex>
+
+            {saveToAsset && assetContext && (
+              <View borderWidth="thin" borderColor="dark" borderRadius="small" padding="size-75">
+                <Flex direction="column" gap="size-50">
+                  <Text>
+                    Write “{saveToAsset.value}” to {config.metadataKey} on {assetContext.resolvedDamPath}? This changes the
+                    asset for every page that uses it.
+                  </Text>
+                  <Flex direction="row" gap="size-100">
+                    <ActionButton
+                      onPress={() => confirmSaveToAsset().catch(console.error)}
+                      isDisabled={saveToAsset.phase === "saving"}
+                    >
+                      Save
+                    </ActionButton>
+                    <ActionButton onPress={() => setSaveToAsset(null)} isDisabled={saveToAsset.phase === "saving"}>
+                      Cancel
+                    </ActionButton>
+                  </Flex>
+                </Flex>
+              </View>
+            )}
+
+            {provenance && isEditedSinceApply(value, provenance) && (
               <Text>
-                Debug: siblingProps={debug.siblingProps || "(none)"}
+                Edited by hand (auto-filled from {provenance.key || "asset metadata"} on{" "}
+                {String(provenance.appliedAt || "").slice(0, 10) || "an earlier date"})
               </Text>
-              {debug.lastError && (
-                <Text UNSAFE_style={{ color: "#b40000" }}>
-                  Error: {debug.lastError}
+            )}
+
+            {showDebug && (
+              <View paddingTop="size-50">
+                <Text>
+                  Debug: asset={debug.assetPath || "(none)"} | aemHost={debug.aemHost || "(none)"}
                 </Text>
-              )}
-            </View>
-          )}
-        </Flex>
-      </View>
+                <Text>
+                  Debug: selectedResource={debug.selectedResource ? String(debug.selectedResource).slice(0, 48) + "…" : "(none)"} | neighborProp={debug.neighborProp || "(none)"}
+                </Text>
+                <Text>
+                  Debug: connectionName={debug.connectionName || "(none)"} | connections={debug.connectionsKeys || "(none)"}
+                </Text>
+                <Text>
+                  Debug: connectionValue={debug.connectionValue || "(none)"} | customTokens={debug.customTokensKeys || "(none)"}
+                </Text>
+                <Text>
+                  Debug: customTokenValue={debug.customTokenValue || "(none)"} | resolvedDamPath={debug.resolvedDamPath || "(none)"}
+                </Text>
+                <Text>
+                  Debug: parsedHostFromConnectionValue={debug.parsedHostFromConnectionValue || "(none)"}
+                </Text>
+                <Text>
+                  Debug: metadataKeyResolved={debug.metadataKeyResolved || "(none)"}
+                </Text>
+                <Text>
+                  Debug: metadataKeysSample={debug.metadataKeysSample || "(none)"}
+                </Text>
+                <Text>
+                  Debug: siblingProps={debug.siblingProps || "(none)"}
+                </Text>
+                {(debug.transformSteps || []).map((t, i) => (
+                  // Steps can repeat (e.g. two `replace` steps), so the position is part of the key.
+                  <Text key={`${i}-${t.step}`}>
+                    Debug: transform {i + 1} {t.step}: “{t.before}” → “{t.after}”
+                  </Text>
+                ))}
+                <Flex direction="row" alignItems="center" gap="size-100">
+                  <Text>
+                    Debug: sharedCache={debug.cacheStats || "(no lookups yet)"}
+                  </Text>
+                  <ActionButton isQuiet onPress={() => clearMetadataCaches().catch(console.error)}>
+                    Clear cache
+                  </ActionButton>
+                </Flex>
+                {config.provenanceField && (
+                  <Text>
+                    Debug: provenance={provenance ? `${provenance.source}:${provenance.key}@${provenance.appliedAt} ${provenance.hash}` : "(none)"}
+                  </Text>
+                )}
+                {debug.lastError && (
+                  <Text UNSAFE_style={{ color: "#b40000" }}>
+                    Error: {debug.lastError}
+                  </Text>
+                )}
+              </View>
+            )}
+          </Flex>
+        </View>
+      </div>
     </Provider>
   );
 }
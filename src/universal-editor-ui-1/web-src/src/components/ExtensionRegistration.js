@@ -2,11 +2,10 @@ import React, { useEffect, useMemo } from "react";
 import { Text } from "@adobe/react-spectrum";
 import { register } from "@adobe/uix-guest";
 import { extensionId, rendererDataType } from "./constants";
+import { createUeEventPublisher } from "./eventBus";
 import metadata from "../../../../app-metadata.json";
 import { isTraceEnabled, summarize, trace } from "./trace";
 
-const LAST_UE_EVENT_KEY = "ue.assetmetadatadefaults.lastUeEvent";
-
 export default function ExtensionRegistration() {
   const isEmbedded = useMemo(() => window.self !== window.top, []);
 
@@ -15,35 +14,47 @@ export default function ExtensionRegistration() {
       return;
     }
 
+    const publisher = createUeEventPublisher();
+
     const init = async () => {
-      await register({
+      const guestConnection = await register({
         id: extensionId,
         metadata,
         debug: false,
         methods: {
-          // Minimal event bridge (no console logging): forward host events to our renderer iframe
-          // via localStorage so the renderer can react without polling.
+          // Minimal event bridge (no console logging): forward host events to our renderer iframes
+          // via the event bus (eventBus.js) so renderers can react without polling.
           events: {
             listen(eventName, data) {
-              try {
-                const payload = {
-                  ts: Date.now(),
-                  eventName: String(eventName || ""),
-                  data,
-                };
-                window.localStorage?.setItem(LAST_UE_EVENT_KEY, JSON.stringify(payload));
-              } catch {
-                // ignore
-              }
+              const event = publisher.publish(eventName, data);
               // Only log when debug is enabled.
               if (isTraceEnabled("tick")) {
                 trace("tick", "[events.listen]", {
-                  eventName: String(eventName || ""),
+                  eventName: event.eventName,
+                  seq: event.seq,
                   data: summarize(data),
                 });
               }
             },
           },
+          // Page-wide sweep: review and fill every empty metadata default field (FillMissingDefaults.js).
+          headerMenu: {
+            getButtons() {
+              return [
+                {
+                  id: "fill-missing-metadata-defaults",
+                  label: "Fill missing metadata",
+                  icon: "Image",
+                  onClick: () => {
+                    guestConnection.host.modal.showUrl({
+                      title: "Fill missing metadata defaults",
+                      url: "/index.html#/fill-missing-defaults",
+                    });
+                  },
+                },
+              ];
+            },
+          },
           canvas: {
             getRenderers() {
               return [
@@ -55,11 +66,25 @@ export default function ExtensionRegistration() {
               ];
             },
           },
+          // Page-level report of every metadata default field (MetadataDefaultsReport.js).
+          rightPanel: {
+            addRails() {
+              return [
+                {
+                  id: "metadata-defaults-report",
+                  header: "Metadata defaults",
+                  icon: "ViewList",
+                  url: "/index.html#/metadata-defaults-report",
+                },
+              ];
+            },
+          },
         },
       });
     };
 
     init().catch(console.error);
+    return () => publisher.close();
   }, [isEmbedded]);
 
   if (!isEmbedded) {
@@ -0,0 +1,223 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { attach } from "@adobe/uix-guest";
+import {
+  Provider,
+  lightTheme,
+  View,
+  Flex,
+  Text,
+  Heading,
+  Checkbox,
+  ProgressCircle,
+  ActionButton,
+  Button,
+} from "@adobe/react-spectrum";
+
+import { extensionId } from "./constants";
+import { trace, summarize } from "./trace";
+import { isAbortError } from "./abort";
+import { updateComponentProps } from "./assetMetadata";
+import { findMetadataDefaultFields, loadPageModels, resolvePageFields } from "./pageFields";
+import { listenForBlockLocks, withBlockWriteLock } from "./blockWriteLock";
+import { buildProvenance, serializeProvenance } from "./provenance";
+
+/**
+ * Row id: one component can hold several metadata default fields.
+ * @param {import("./pageFields").PageFieldRow} row
+ * @returns {string}
+ */
+function rowKey(row) {
+  return `${row.resource}|${row.fieldName}`;
+}
+
+/**
+ * Whether the sweep may fill this row: the field is empty and its asset yields a value.
+ * @param {import("./pageFields").PageFieldRow} row
+ * @returns {boolean}
+ */
+function isFillable(row) {
+  return row.state === "ready" && !row.currentValue && Boolean(row.candidate) && row.config.overwritePolicy !== "never";
+}
+
+/**
+ * @param {import("./pageFields").PageFieldRow} row
+ * @returns {string}
+ */
+function describeRow(row) {
+  if (row.state === "noAsset") return "No asset selected";
+  if (row.state === "pinned") return "Pinned: skipped";
+  if (row.state === "error") return row.message;
+  if (row.state === "applied") return `Filled: ${row.candidate}`;
+  if (row.currentValue) return `Has a value: “${row.currentValue}”`;
+  if (!row.candidate) return "No value found";
+  if (row.config.overwritePolicy === "never") return "Overwrite policy “never”: skipped";
+  return `→ “${row.candidate}” (${row.resolvedKey || "template"})`;
+}
+
+/**
+ * "Fill missing metadata defaults" modal, opened from the header menu (see ExtensionRegistration).
+ *
+ * Walks every `asset-metadata-default` field on the page, resolves its asset and metadata the same way
+ * the renderer does, and lists the result for review. Only empty fields are offered (and preselected);
+ * the approved rows are written one block at a time.
+ */
+export default function FillMissingDefaults() {
+  const isEmbedded = useMemo(() => window.self !== window.top, []);
+  const [connection, setConnection] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [approved, setApproved] = useState(() => new Set());
+  const [status, setStatus] = useState({ state: "idle", message: "" });
+  const [applying, setApplying] = useState(false);
+  const controllerRef = useRef(null);
+
+  const scan = async (c, { force = false } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+    setStatus({ state: "loading", message: "Reading the page…" });
+    try {
+      const editorState = await c.host.editorState.get();
+      const token = c.sharedContext?.get("token");
+      const authScheme = c.sharedContext?.get("authScheme") || "Bearer";
+      const pageModels = await loadPageModels({ editorState, authScheme, token, force, signal });
+      const fields = findMetadataDefaultFields(editorState, pageModels);
+      setStatus({ state: "loading", message: `Reading ${fields.length} fields…` });
+      const next = await resolvePageFields({ editorState, fields, authScheme, token, force, signal });
+      if (signal.aborted) return;
+      setRows(next);
+      setApproved(new Set(next.filter(isFillable).map(rowKey)));
+      const fillable = next.filter(isFillable).length;
+      setStatus({
+        state: "done",
+        message: fields.length
+          ? `${fields.length} fields on this page, ${fillable} empty ones can be filled from their assets`
+          : "No metadata default fields found on this page",
+      });
+      trace("tick", "FillMissingDefaults:scanned", {
+        rows: next.map((r) => `${summarize(rowKey(r))}=${r.state}${isFillable(r) ? ":fillable" : ""}`),
+      });
+    } catch (e) {
+      if (isAbortError(e)) return;
+      trace("tick", "FillMissingDefaults:scan:error", { message: String(e?.message || e) });
+      setStatus({ state: "error", message: String(e?.message || e) });
+    }
+  };
+
+  useEffect(() => {
+    if (!isEmbedded) return undefined;
+    listenForBlockLocks();
+    (async () => {
+      const c = await attach({ id: extensionId });
+      setConnection(c);
+      await scan(c);
+    })().catch((e) => {
+      trace("tick", "FillMissingDefaults:attach:error", { message: String(e?.message || e) });
+      setStatus({ state: "error", message: String(e?.message || e) });
+    });
+    return () => controllerRef.current?.abort();
+  }, [isEmbedded]);
+
+  const toggle = (key, isSelected) => {
+    setApproved((prev) => {
+      const next = new Set(prev);
+      if (isSelected) next.add(key);
+      else next.delete(key);
+      return next;
+    });
+  };
+
+  /**
+   * Write the approved rows (value plus provenance record, when configured) in one patch per field.
+   */
+  const apply = async () => {
+    if (!connection || applying) return;
+    setApplying(true);
+    const next = rows.slice();
+    let filled = 0;
+    let failed = 0;
+    for (let i = 0; i < next.length; i += 1) {
+      const row = next[i];
+      if (!isFillable(row) || !approved.has(rowKey(row))) continue;
+      setStatus({ state: "loading", message: `Filling ${row.label}…` });
+      const props = { [row.fieldName]: row.candidate };
+      if (row.config.provenanceField) {
+        props[row.config.provenanceField] = serializeProvenance(
+          buildProvenance({ asset: row.assetRef, key: row.resolvedKey, source: row.source, value: row.candidate })
+        );
+      }
+      try {
+        await withBlockWriteLock(row.blockKey, () => updateComponentProps(connection, { resource: row.resource, props }));
+        next[i] = { ...row, state: "applied" };
+        filled += 1;
+      } catch (e) {
+        next[i] = { ...row, state: "error", message: String(e?.message || e) };
+        failed += 1;
+      }
+      setRows(next.slice());
+    }
+    setApplying(false);
+    setApproved(new Set());
+    setStatus({
+      state: failed ? "error" : "done",
+      message: failed ? `Filled ${filled} fields, ${failed} failed` : `Filled ${filled} fields`,
+    });
+    trace("tick", "FillMissingDefaults:applied", { filled, failed });
+  };
+
+  if (!isEmbedded) {
+    return (
+      <Provider theme={lightTheme} colorScheme="light">
+        <View padding="size-100">
+          <Text>
+            This dialog must be opened from Universal Editor. Open UE with `ext=https://localhost:9080`.
+          </Text>
+        </View>
+      </Provider>
+    );
+  }
+
+  const approvedCount = rows.filter((r) => isFillable(r) && approved.has(rowKey(r))).length;
+
+  return (
+    <Provider theme={lightTheme} colorScheme="light">
+      <View padding="size-200">
+        <Flex direction="column" gap="size-100">
+          <Heading level={3}>Fill missing metadata defaults</Heading>
+          <Flex direction="row" gap="size-100" alignItems="center">
+            {status.state === "loading" && <ProgressCircle size="S" aria-label="Loading" isIndeterminate />}
+            <Text UNSAFE_style={status.state === "error" ? { color: "#b40000" } : undefined}>{status.message}</Text>
+          </Flex>
+          {rows.map((row) => (
+            <Flex key={rowKey(row)} direction="row" gap="size-100" alignItems="center">
+              <Checkbox
+                aria-label={`Fill ${row.fieldLabel} of ${row.label}`}
+                isSelected={approved.has(rowKey(row))}
+                isDisabled={applying || !isFillable(row)}
+                onChange={(isSelected) => toggle(rowKey(row), isSelected)}
+              />
+              <Text>
+                {row.label || "(no asset)"} · {row.fieldLabel}: {describeRow(row)}
+              </Text>
+            </Flex>
+          ))}
+          <Flex direction="row" gap="size-100">
+            <Button
+              variant="cta"
+              onPress={() => apply().catch(console.error)}
+              isDisabled={applying || approvedCount === 0}
+            >
+              Fill selected ({approvedCount})
+            </Button>
+            <ActionButton onPress={() => scan(connection, { force: true })} isDisabled={applying || !connection}>
+              Rescan
+            </ActionButton>
+            <ActionButton onPress={() => connection?.host?.modal?.close()} isDisabled={applying}>
+              Close
+            </ActionButton>
+          </Flex>
+        </Flex>
+      </View>
+    </Provider>
+  );
+}
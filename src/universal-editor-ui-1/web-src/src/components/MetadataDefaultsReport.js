@@ -0,0 +1,197 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { attach } from "@adobe/uix-guest";
+import { Provider, lightTheme, View, Flex, Text, ProgressCircle, ActionButton } from "@adobe/react-spectrum";
+import Refresh from "@spectrum-icons/workflow/Refresh";
+
+import { extensionId } from "./constants";
+import { trace, summarize } from "./trace";
+import { isAbortError } from "./abort";
+import { parseStructureEvent } from "./contentEvents";
+import { subscribeUeEvents } from "./eventBus";
+import { findMetadataDefaultFields, loadPageModels, resolvePageFields } from "./pageFields";
+import { isEditedSinceApply } from "./provenance";
+
+// Content patches arrive in bursts (one per written property); rescan once they settle.
+const RESCAN_DEBOUNCE_MS = 1500;
+
+/**
+ * Report status of one page field:
+ * - `autoFilled`: the value is what the asset metadata gives (per its provenance record when the field
+ *   keeps one, otherwise by comparing with the current metadata value).
+ * - `edited`: the field has a value that differs from it.
+ * - `empty`, `noAsset`, `pinned`, `failing`: as named.
+ *
+ * @param {import("./pageFields").PageFieldRow} row
+ * @returns {"autoFilled"|"edited"|"empty"|"noAsset"|"pinned"|"failing"}
+ */
+function reportStatus(row) {
+  if (row.state === "error") return "failing";
+  if (row.state === "noAsset") return "noAsset";
+  if (!row.currentValue) return "empty";
+  if (row.state === "pinned") return "pinned";
+  if (row.provenance) return isEditedSinceApply(row.currentValue, row.provenance) ? "edited" : "autoFilled";
+  return row.candidate && row.currentValue === row.candidate ? "autoFilled" : "edited";
+}
+
+const STATUS_LABELS = {
+  autoFilled: "Auto-filled",
+  edited: "Edited by hand",
+  empty: "Empty",
+  noAsset: "No asset",
+  pinned: "Pinned",
+  failing: "Failing",
+};
+
+const STATUS_COLORS = {
+  empty: "#b40000",
+  failing: "#b40000",
+};
+
+/**
+ * Page-level report rail ("Metadata defaults"), registered next to the renderer (see ExtensionRegistration).
+ *
+ * Lists every `asset-metadata-default` field on the page with its asset, resolved metadata key, current
+ * value and status, so QA can check coverage before publishing. Rescans after content changes.
+ */
+export default function MetadataDefaultsReport() {
+  const isEmbedded = useMemo(() => window.self !== window.top, []);
+  const [connection, setConnection] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [status, setStatus] = useState({ state: "idle", message: "" });
+  const controllerRef = useRef(null);
+  const rescanTimerRef = useRef(null);
+
+  const scan = async (c, { force = false } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+    setStatus({ state: "loading", message: "Reading the page…" });
+    try {
+      const editorState = await c.host.editorState.get();
+      const token = c.sharedContext?.get("token");
+      const authScheme = c.sharedContext?.get("authScheme") || "Bearer";
+      // Not forced: rescans follow content patches, which don't change the component models.
+      const pageModels = await loadPageModels({ editorState, authScheme, token, signal });
+      const fields = findMetadataDefaultFields(editorState, pageModels);
+      const next = await resolvePageFields({ editorState, fields, authScheme, token, force, signal });
+      if (signal.aborted) return;
+      setRows(next);
+      const counts = next.reduce((acc, r) => {
+        const s = reportStatus(r);
+        acc[s] = (acc[s] || 0) + 1;
+        return acc;
+      }, {});
+      setStatus({
+        state: "done",
+        message: next.length
+          ? Object.keys(STATUS_LABELS)
+              .filter((s) => counts[s])
+              .map((s) => `${counts[s]} ${STATUS_LABELS[s].toLowerCase()}`)
+              .join(", ")
+          : "No metadata default fields found on this page",
+      });
+      trace("tick", "MetadataDefaultsReport:scanned", { counts });
+    } catch (e) {
+      if (isAbortError(e)) return;
+      trace("tick", "MetadataDefaultsReport:scan:error", { message: String(e?.message || e) });
+      setStatus({ state: "error", message: String(e?.message || e) });
+    }
+  };
+
+  useEffect(() => {
+    if (!isEmbedded) return undefined;
+    let unsubscribe = () => {};
+    (async () => {
+      const c = await attach({ id: extensionId });
+      setConnection(c);
+      await scan(c);
+      unsubscribe = subscribeUeEvents((event) => {
+        if (event.replayed) return;
+        if (event.eventName !== "aue:content-patch" && !parseStructureEvent(event.eventName, event.data)) return;
+        clearTimeout(rescanTimerRef.current);
+        rescanTimerRef.current = setTimeout(() => scan(c, { force: true }), RESCAN_DEBOUNCE_MS);
+      });
+    })().catch((e) => {
+      trace("tick", "MetadataDefaultsReport:attach:error", { message: String(e?.message || e) });
+      setStatus({ state: "error", message: String(e?.message || e) });
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(rescanTimerRef.current);
+      controllerRef.current?.abort();
+    };
+  }, [isEmbedded]);
+
+  /**
+   * Select the row's component in the canvas (and so open it in the properties rail).
+   * @param {import("./pageFields").PageFieldRow} row
+   */
+  const jumpTo = async (row) => {
+    const editorActions = connection?.host?.editorActions;
+    if (!editorActions || typeof editorActions.selectEditables !== "function") {
+      setStatus({ state: "error", message: "This Universal Editor host can't select components from a panel." });
+      return;
+    }
+    await editorActions.selectEditables([row.editable]);
+    trace("tick", "MetadataDefaultsReport:jump", { resource: summarize(row.resource) });
+  };
+
+  if (!isEmbedded) {
+    return (
+      <Provider theme={lightTheme} colorScheme="light">
+        <View padding="size-100">
+          <Text>This panel must be loaded inside Universal Editor. Open UE with `ext=https://localhost:9080`.</Text>
+        </View>
+      </Provider>
+    );
+  }
+
+  return (
+    <Provider theme={lightTheme} colorScheme="light">
+      <View padding="size-100">
+        <Flex direction="column" gap="size-100">
+          <Flex direction="row" gap="size-100" alignItems="center">
+            {status.state === "loading" && <ProgressCircle size="S" aria-label="Loading" isIndeterminate />}
+            <Text UNSAFE_style={status.state === "error" ? { color: "#b40000" } : undefined}>{status.message}</Text>
+            <ActionButton
+              isQuiet
+              aria-label="Refresh report"
+              onPress={() => scan(connection, { force: true })}
+              isDisabled={!connection}
+            >
+              <Refresh />
+            </ActionButton>
+          </Flex>
+          {rows.map((row) => {
+            const s = reportStatus(row);
+            return (
+              <View
+                key={`${row.resource}|${row.fieldName}`}
+                borderWidth="thin"
+                borderColor="dark"
+                borderRadius="small"
+                padding="size-75"
+              >
+                <Flex direction="column" gap="size-25">
+                  <Text>
+                    {row.label || "(no asset)"} · {row.fieldLabel}
+                  </Text>
+                  <Text UNSAFE_style={STATUS_COLORS[s] ? { color: STATUS_COLORS[s] } : undefined}>
+                    {STATUS_LABELS[s]}
+                    {s === "failing" ? `: ${row.message}` : ""}
+                  </Text>
+                  <Text>Key: {row.resolvedKey || (row.config.metadataTemplate ? "template" : row.config.metadataKey)}</Text>
+                  <Text>Value: {row.currentValue || "(empty)"}</Text>
+                  <ActionButton isQuiet onPress={() => jumpTo(row).catch(console.error)}>
+                    Go to component
+                  </ActionButton>
+                </Flex>
+              </View>
+            );
+          })}
+        </Flex>
+      </View>
+    </Provider>
+  );
+}
@@ -0,0 +1,23 @@
+/**
+ * Helpers for AbortController-based cancellation of superseded runs.
+ */
+
+/**
+ * Whether `e` is the rejection of an aborted `fetch` (or of work cancelled via an AbortSignal).
+ * @param {any} e
+ * @returns {boolean}
+ */
+export function isAbortError(e) {
+  return Boolean(e) && (e.name === "AbortError" || e.code === 20);
+}
+
+/**
+ * Throw an AbortError if `signal` has been aborted (for checkpoints between non-fetch async steps).
+ * @param {AbortSignal|undefined} signal
+ */
+export function throwIfAborted(signal) {
+  if (!signal?.aborted) return;
+  const err = new Error("The operation was aborted.");
+  err.name = "AbortError";
+  throw err;
+}
@@ -0,0 +1,121 @@
+/**
+ * Alt-text quality rules (model option `qualityRules`).
+ *
+ * The renderer writes whatever the asset metadata holds, and authors type whatever they like; these
+ * rules flag the usual problems (a file name, "image of …", a paragraph of description) for both. They
+ * only warn: the value is still written.
+ *
+ * `qualityRules: true` enables DEFAULT_RULES. An object (or a JSON string of one) enables exactly the
+ * rules it names, e.g. `{"basename": true, "maxLength": 100, "captionField": "imageCaption"}`.
+ */
+import { basename } from "./assetMetadata";
+
+const DEFAULT_RULES = {
+  basename: true,
+  extension: true,
+  minLength: 5,
+  maxLength: 125,
+  redundantPrefix: true,
+};
+
+// "image of", "photo of a", "picture showing", … at the start of the text.
+const REDUNDANT_PREFIX_RE = /^(an?\s+)?(image|photo|photograph|picture|graphic|illustration|screenshot)\s+(of|showing)\b/i;
+const FILE_EXTENSION_RE = /\.(jpe?g|png|gif|webp|avif|svg|tiff?|bmp|heic|psd|eps|ai|pdf|mp4|mov)\b/i;
+
+/**
+ * @typedef {{basename?: boolean, extension?: boolean, minLength?: number, maxLength?: number,
+ *   redundantPrefix?: boolean, captionField?: string}} QualityRules
+ */
+
+/**
+ * @typedef {{rule: string, ok: boolean, message: string}} QualityResult
+ */
+
+/**
+ * Normalize the model's `qualityRules` value; null when no rule is enabled.
+ * @param {any} raw
+ * @returns {QualityRules|null}
+ */
+export function parseQualityRules(raw) {
+  if (raw === true) return { ...DEFAULT_RULES };
+  let obj = raw;
+  if (typeof raw === "string") {
+    const s = raw.trim();
+    if (!s) return null;
+    if (s === "true") return { ...DEFAULT_RULES };
+    try {
+      obj = JSON.parse(s);
+    } catch {
+      return null;
+    }
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return null;
+  const rules = {};
+  if (obj.basename) rules.basename = true;
+  if (obj.extension) rules.extension = true;
+  if (obj.redundantPrefix) rules.redundantPrefix = true;
+  const minLength = Number(obj.minLength);
+  if (minLength > 0) rules.minLength = minLength;
+  const maxLength = Number(obj.maxLength);
+  if (maxLength > 0) rules.maxLength = maxLength;
+  const captionField = String(obj.captionField || "").trim();
+  if (captionField) rules.captionField = captionField;
+  return Object.keys(rules).length ? rules : null;
+}
+
+/**
+ * @param {string} s
+ * @returns {string}
+ */
+function comparable(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[\s_-]+/g, " ")
+    .trim();
+}
+
+/**
+ * Run the enabled rules against a value. Empty values are not checked (that is a matter for
+ * `required`, not for quality).
+ *
+ * @param {string} value
+ * @param {{rules: QualityRules|null, assetRef?: string, caption?: string}} context
+ * @returns {QualityResult[]} one result per enabled rule that applies
+ */
+export function checkAltText(value, { rules, assetRef = "", caption = "" }) {
+  const text = String(value || "").trim();
+  if (!rules || !text) return [];
+  const results = [];
+  const check = (rule, ok, message) => results.push({ rule, ok, message: ok ? "" : message });
+
+  if (rules.basename && assetRef) {
+    const file = basename(assetRef);
+    const stem = file.replace(/\.[^.]+$/, "");
+    const t = comparable(text);
+    check("basename", t !== comparable(file) && t !== comparable(stem), "The text is the image’s file name.");
+  }
+  if (rules.extension) {
+    check("extension", !FILE_EXTENSION_RE.test(text), "The text contains a file extension.");
+  }
+  if (rules.minLength) {
+    check("minLength", text.length >= rules.minLength, `The text is shorter than ${rules.minLength} characters.`);
+  }
+  if (rules.maxLength) {
+    check(
+      "maxLength",
+      text.length <= rules.maxLength,
+      `The text is ${text.length} characters long; keep it under ${rules.maxLength}.`
+    );
+  }
+  if (rules.redundantPrefix) {
+    check(
+      "redundantPrefix",
+      !REDUNDANT_PREFIX_RE.test(text),
+      "Screen readers already announce an image; drop the “image of” prefix."
+    );
+  }
+  if (rules.captionField && caption) {
+    check("caption", comparable(text) !== comparable(caption), "The text repeats the caption.");
+  }
+  return results;
+}
@@ -0,0 +1,854 @@
+/**
+ * Asset and metadata resolution shared by the field renderer and the page-wide views.
+ *
+ * Everything here is stateless (apart from the shared caches it reads through), so the same
+ * helpers resolve a field from the selected editable in the renderer and from any editable on the
+ * page in the "Fill missing defaults" sweep.
+ */
+import { trace, traceFn, summarize } from "./trace";
+import { renderMetadataTemplate } from "./metadataTemplate";
+import { FetchFailure, fetchWithRetry } from "./fetchFailures";
+import { getOrFetchShared } from "./metadataCache";
+import { loadWithRevalidation } from "./persistentMetadataCache";
+import { applyTransforms, parseTransforms } from "./valueTransforms";
+import { formatMetadataValue, parseFormat, resolveFormatLocale } from "./metadataFormat";
+
+/**
+ * Per-field overwrite policies (model option `overwritePolicy`):
+ * - `onAssetChange`: write on the first asset selection and whenever the asset changes (default).
+ * - `ifEmpty`: write only while the field is blank.
+ * - `always`: keep the field in sync with the asset metadata on every evaluation.
+ * - `never`: resolve and show the metadata value, but never write it.
+ */
+const OVERWRITE_POLICIES = ["onAssetChange", "ifEmpty", "always", "never"];
+const DEFAULT_OVERWRITE_POLICY = "onAssetChange";
+
+// Shared cache TTLs (see metadataCache.js). Component JSON is kept only briefly: it mainly dedupes the
+// near-simultaneous reads of several renderers, and must not hide persistence convergence.
+const COMPONENT_JSON_TTL_MS = 500;
+const METADATA_JSON_TTL_MS = 5 * 60 * 1000;
+// Default for the model's `metadataMaxAge` (seconds): cached metadata older than this is revalidated
+// before it may be used for an apply.
+const DEFAULT_METADATA_MAX_AGE_S = 300;
+const DEFAULT_CONVERGENCE_TIMEOUT_S = 5;
+
+/**
+ * Replace the generic network message with a CORS hint for local development.
+ * @param {any} e
+ * @param {string} hint
+ * @returns {any} the same error
+ */
+function withCorsHint(e, hint) {
+  if (e instanceof FetchFailure && e.kind === "network" && !e.breakerOpen) e.message = hint;
+  return e;
+}
+
+/**
+ * Normalize a UE `prop` identifier to a stable comparison key.
+ * @param {string} prop
+ * @returns {string}
+ */
+export const normalizeProp = traceFn("normalizeProp", "all", function normalizeProp(prop) {
+  if (!prop) return "";
+  const s = String(prop).trim();
+  // UE props can vary by field type / serializer:
+  // - "image"
+  // - "/image"
+  // - "./image"
+  // Normalize these to a stable key.
+  if (s.startsWith("./")) return s.slice(2);
+  if (s.startsWith("/")) return s.slice(1);
+  return s;
+});
+
+/**
+ * Pick the AEM Author base URL from UE `editorState.connections` / `editorState.customTokens`.
+ * Values often look like `aem:https://author.example.com` (scheme + URL).
+ *
+ * @param {Record<string, string>} connections
+ * @returns {string|null}
+ */
+export const pickAemConnection = traceFn("pickAemConnection", "all", function pickAemConnection(connections = {}) {
+  const values = Object.values(connections)
+    .filter(Boolean)
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  const schemePrefixed = values.find((v) => /^[a-z][a-z0-9+.-]*:https?:\/\//i.test(v));
+  if (schemePrefixed) return schemePrefixed.slice(schemePrefixed.indexOf(":") + 1);
+
+  const urlLike = values.find((v) => /^https?:\/\//i.test(v));
+  if (urlLike) return urlLike;
+
+  return null;
+});
+
+/**
+ * Resolve the Author host for a component's connection, falling back to any AEM connection/token.
+ * @param {Record<string, string>} connections `editorState.connections`
+ * @param {Record<string, string>} customTokens `editorState.customTokens`
+ * @param {string} connectionName from the component's resource URN
+ * @returns {string|null}
+ */
+export function pickAemHost(connections, customTokens, connectionName) {
+  const connectionValue = connectionName ? String(connections?.[connectionName] || "") : "";
+  const customTokenValue = connectionName ? String(customTokens?.[connectionName] || "") : "";
+  return (
+    (connectionName && pickAemConnection({ [connectionName]: connectionValue })) ||
+    (connectionName && pickAemConnection({ [connectionName]: customTokenValue })) ||
+    pickAemConnection(connections) ||
+    pickAemConnection(customTokens) ||
+    null
+  );
+}
+
+/**
+ * Parse UE resource URNs like: `urn:<connectionName>:<path...>`
+ * @param {string} resource
+ * @returns {{connectionName: string, path: string} | null}
+ */
+export const parseResourceUrn = traceFn("parseResourceUrn", "all", function parseResourceUrn(resource) {
+  if (!resource || typeof resource !== "string") return null;
+  if (!resource.startsWith("urn:")) return null;
+
+  const parts = resource.split(":");
+  if (parts.length < 3) return null;
+  return {
+    connectionName: parts[1] || "",
+    path: parts.slice(2).join(":") || "",
+  };
+});
+
+/**
+ * Extract the `data-aue-resource="urn:..."` value from an editable selector string.
+ * @param {string} selector
+ * @returns {string}
+ */
+const extractResourceFromSelector = traceFn(
+  "extractResourceFromSelector",
+  "all",
+  function extractResourceFromSelector(selector) {
+    if (!selector || typeof selector !== "string") return "";
+    const m = selector.match(/data-aue-resource\s*=\s*"([^"]+)"/i);
+    // Avoid optional-chaining-with-brackets to keep parsing compatible with older toolchains.
+    const v = ((m && m[1]) || "").trim();
+    return v.startsWith("urn:") ? v : "";
+  }
+);
+
+/**
+ * Fetch a component JSON model (`<resourcePath>.json`) and return the requested property values.
+ * Used when the asset field is a DM delivery URL and we need the persisted `/content/dam/...` reference,
+ * and to read sibling properties (e.g. the pin flag) in the same request.
+ *
+ * The JSON goes through the shared cache (short TTL, invalidated on `aue:content-patch`); `force`
+ * bypasses it. `signal` cancels the request when the run is superseded.
+ *
+ * @param {{aemHost: string, resourcePath: string, propNames: string[], authScheme?: string, token?: string, force?: boolean, signal?: AbortSignal}} params
+ * @returns {Promise<Record<string, string>>} missing properties are returned as ""
+ */
+export const fetchComponentProps = traceFn(
+  "fetchComponentProps",
+  "all",
+  async function fetchComponentProps({ aemHost, resourcePath, propNames, authScheme, token, force, signal }) {
+    const names = (propNames || []).filter(Boolean);
+    if (!aemHost || !resourcePath || names.length === 0) return {};
+    const url = `${aemHost}${resourcePath}.json`;
+    const json = await getOrFetchShared(
+      `component:${url}`,
+      async () => {
+        const headers = {};
+        if (token) headers.Authorization = `${authScheme || "Bearer"} ${token}`;
+        let res;
+        try {
+          res = await fetchWithRetry(url, { headers, credentials: "include", signal }, `Component JSON ${resourcePath}`);
+        } catch (e) {
+          // Most common cause here is CORS when running from https://localhost:9080
+          throw withCorsHint(
+            e,
+            `CORS/Network blocked while fetching component JSON from Author. ` +
+              `Allow Origin https://localhost:9080 on ${aemHost} for ${resourcePath}.json`
+          );
+        }
+        return await res.json();
+      },
+      { ttlMs: COMPONENT_JSON_TTL_MS, force, signal }
+    );
+    const out = {};
+    for (const name of names) {
+      const v = json?.[name];
+      if (typeof v === "string") out[name] = v.trim();
+      else if (v == null) out[name] = "";
+      else out[name] = String(v);
+    }
+    return out;
+  }
+);
+
+/**
+ * Write properties on the authored component resource (siblings of this field) through the UE host.
+ * `host.field.onChange` can only write the renderer's own field, so sibling writes go through
+ * `host.editorActions.update` with a JSON patch against the component resource.
+ *
+ * @param {any} connection
+ * @param {{resource: string, props: Record<string, any>}} params
+ * @returns {Promise<void>}
+ */
+export const updateComponentProps = traceFn(
+  "updateComponentProps",
+  "tick",
+  async function updateComponentProps(connection, { resource, props }) {
+    const editorActions = connection?.host?.editorActions;
+    if (!editorActions || typeof editorActions.update !== "function") {
+      throw new Error("This Universal Editor host does not support updating sibling properties.");
+    }
+    if (!resource) throw new Error("No component selected.");
+    await editorActions.update({
+      target: { resource },
+      patch: Object.keys(props || {}).map((name) => ({ op: "replace", path: `/${name}`, value: props[name] })),
+    });
+  }
+);
+
+/**
+ * Attempt to extract a `/content/dam/...` path from arbitrary strings/URLs.
+ * @param {string} value
+ * @returns {string}
+ */
+const tryExtractDamPath = traceFn("tryExtractDamPath", "all", function tryExtractDamPath(value) {
+  const s = String(value || "");
+  const idx = s.indexOf("/content/dam/");
+  if (idx >= 0) {
+    const tail = s.slice(idx).trim();
+    return tail.split("?")[0];
+  }
+  return "";
+});
+
+/**
+ * Return the last path segment ("basename") of a URL/path (query stripped).
+ * Used to sanity-check that the persisted DAM path matches the selected DM URL.
+ * @param {string} s
+ * @returns {string}
+ */
+export function basename(s) {
+  const v = String(s || "").split("?")[0];
+  const parts = v.split("/").filter(Boolean);
+  return parts[parts.length - 1] || "";
+}
+
+/**
+ * Attempt to extract an AEM asset URN from an OpenAPI delivery URL/string.
+ * Example: `urn:aaid:aem:<uuid>`
+ *
+ * @param {string} s
+ * @returns {string}
+ */
+function tryExtractAssetUrn(s) {
+  const v = String(s || "");
+  const m = v.match(/urn:aaid:aem:[0-9a-f-]+/i);
+  return (m && m[0]) || "";
+}
+
+/**
+ * If `s` is an absolute URL, return its origin; otherwise empty.
+ * @param {string} s
+ * @returns {string}
+ */
+function tryExtractOrigin(s) {
+  try {
+    const u = new URL(String(s || ""));
+    return u.origin || "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Resolve an asset field value (DAM path, Author URL or Delivery URL) into what metadata fetching needs.
+ * @param {string} assetValue
+ * @returns {{resolvedDamPath: string, assetUrn: string, deliveryOrigin: string, assetRef: string}}
+ *   `assetRef` identifies the asset (DAM path, else URN); empty when no asset is referenced
+ */
+export function resolveAssetReference(assetValue) {
+  const v = String(assetValue || "").trim();
+  const resolvedDamPath = v.startsWith("/content/dam/") ? v.split("?")[0] : tryExtractDamPath(v);
+  const assetUrn = tryExtractAssetUrn(v);
+  return { resolvedDamPath, assetUrn, deliveryOrigin: tryExtractOrigin(v), assetRef: resolvedDamPath || assetUrn || "" };
+}
+
+/**
+ * Normalize the neighbor asset value into a stable signature for caching decisions.
+ * @param {string} assetValue
+ * @returns {string}
+ */
+export const normalizeAssetSignature = traceFn(
+  "normalizeAssetSignature",
+  "all",
+  function normalizeAssetSignature(assetValue) {
+    const s = String(assetValue || "").trim();
+    if (!s) return "";
+    if (s.startsWith("/adobe/dynamicmedia/deliver/")) return s.split("?")[0];
+    return s;
+  }
+);
+
+/**
+ * Return all selected editables from editorState (one per selected id, in selection order).
+ * @param {any} editorState
+ * @returns {any[]}
+ */
+export const findSelectedEditables = traceFn("findSelectedEditables", "all", function findSelectedEditables(editorState) {
+  const selected = editorState?.selected || {};
+  const selectedIds = Object.keys(selected).filter((k) => selected[k]);
+  const editables = editorState?.editables || [];
+  return selectedIds.map((id) => editables.find((e) => e.id === id)).filter(Boolean);
+});
+
+/**
+ * Return the first selected editable from editorState.
+ * @param {any} editorState
+ * @returns {any|null}
+ */
+export const findSelectedEditable = traceFn("findSelectedEditable", "all", function findSelectedEditable(editorState) {
+  return findSelectedEditables(editorState)[0] || null;
+});
+
+/**
+ * Resolve a stable URN resource for a field editable by falling back to its parent or selector.
+ * @param {Map<string, any>} editableById
+ * @param {any} editable
+ * @returns {string}
+ */
+export const resolveResource = traceFn("resolveResource", "all", function resolveResource(editableById, editable) {
+  if (!editable) return "";
+  if (editable.resource) return editable.resource;
+  const parent = editable.parentid ? editableById.get(editable.parentid) : null;
+  return (parent && parent.resource) || extractResourceFromSelector(editable && editable.selector) || "";
+});
+
+/**
+ * Get the `prop` identifier from an editable.
+ * @param {any} editable
+ * @returns {string}
+ */
+const resolveProp = traceFn("resolveProp", "all", function resolveProp(editable) {
+  if (!editable) return "";
+  return editable.prop || "";
+});
+
+/**
+ * Return editables that share the same parent container as the selected editable.
+ * (This corresponds to “neighbor fields” within the same authored component instance.)
+ *
+ * @param {any[]} editables
+ * @param {any} selectedEditable
+ * @returns {any[]}
+ */
+function getSiblingEditables(editables, selectedEditable) {
+  const selectedParentId = selectedEditable?.parentid || selectedEditable?.id || "";
+  if (!selectedParentId) return [];
+  return (editables || []).filter((e) => (e?.parentid || "") === selectedParentId);
+}
+
+/**
+ * Find the neighbor editable for a given field name (e.g. `image`) relative to the selected editable.
+ * @param {any} editorState
+ * @param {any} selectedEditable
+ * @param {string} neighborFieldName
+ * @returns {any|null}
+ */
+export const findNeighborEditable = traceFn(
+  "findNeighborEditable",
+  "all",
+  function findNeighborEditable(editorState, selectedEditable, neighborFieldName) {
+    const editables = editorState?.editables || [];
+    const editableById = new Map(editables.map((e) => [e.id, e]));
+
+    const want = normalizeProp(neighborFieldName);
+
+    const candidates = getSiblingEditables(editables, selectedEditable);
+
+    const inSameParent =
+      candidates.find((e) => normalizeProp(resolveProp(e)) === want) ||
+      candidates.find((e) => normalizeProp(resolveProp(e)).endsWith(`/${want}`));
+
+    if (inSameParent) return inSameParent;
+
+    const selectedResource = resolveResource(editableById, selectedEditable);
+    if (!selectedResource) return null;
+
+    return (
+      editables.find(
+        (e) =>
+          resolveResource(editableById, e) === selectedResource &&
+          normalizeProp(resolveProp(e)) === want
+      ) ||
+      editables.find(
+        (e) =>
+          resolveResource(editableById, e) === selectedResource &&
+          normalizeProp(resolveProp(e)).endsWith(`/${want}`)
+      ) ||
+      null
+    );
+  }
+);
+
+/**
+ * Extract a useful "value" from a UE editable, across different field types.
+ * @param {any} editable
+ * @returns {string}
+ */
+export const getEditableValue = traceFn("getEditableValue", "all", function getEditableValue(editable) {
+  return (
+    editable?.content ??
+    editable?.value ??
+    editable?.href ??
+    editable?.src ??
+    ""
+  );
+});
+
+/**
+ * Resolve a metadata key from the fetched metadata JSON:
+ * - exact match
+ * - case-insensitive match
+ * - `:` -> `_` fallback (some serializers normalize keys)
+ *
+ * @param {Record<string, any>|null} metadataJson
+ * @param {string} requestedKey
+ * @returns {{value: any, resolvedKey: string}}
+ */
+const resolveMetadataValue = traceFn(
+  "resolveMetadataValue",
+  "all",
+  function resolveMetadataValue(metadataJson, requestedKey) {
+    if (!metadataJson || typeof metadataJson !== "object") return { value: "", resolvedKey: "" };
+    if (!requestedKey) return { value: "", resolvedKey: "" };
+
+    // Many metadata sources:
+    // - AEM Author DAM metadata.json: keys at root (e.g. "dc:title")
+    // - Delivery OpenAPI /metadata: keys often under `assetMetadata` and `repositoryMetadata`
+    const sources = [metadataJson, metadataJson.assetMetadata, metadataJson.repositoryMetadata].filter(
+      (v) => v && typeof v === "object"
+    );
+
+    // Search each source in order.
+    for (const src of sources) {
+      const keys = Object.keys(src);
+      const direct = src[requestedKey];
+      if (direct !== undefined) return { value: direct, resolvedKey: requestedKey };
+
+      const wantedLower = String(requestedKey).toLowerCase();
+      const ciKey = keys.find((k) => String(k).toLowerCase() === wantedLower);
+      if (ciKey) return { value: src[ciKey], resolvedKey: ciKey };
+
+      const colonToUnderscore = String(requestedKey).replace(/:/g, "_");
+      const underscoreKey = keys.find((k) => String(k).toLowerCase() === colonToUnderscore.toLowerCase());
+      if (underscoreKey) return { value: src[underscoreKey], resolvedKey: underscoreKey };
+    }
+
+    return { value: "", resolvedKey: "" };
+  }
+);
+
+/**
+ * Convert a metadata field value into a string suitable for writing into a text field.
+ * @param {any} v
+ * @returns {string}
+ */
+const stringifyMetadataValue = traceFn(
+  "stringifyMetadataValue",
+  "all",
+  function stringifyMetadataValue(v) {
+    if (typeof v === "string") return v.trim();
+    if (Array.isArray(v)) return v.filter(Boolean).join(", ");
+    if (v == null) return "";
+    return String(v);
+  }
+);
+
+/**
+ * Map a model `overwritePolicy` value onto one of `OVERWRITE_POLICIES` (case-insensitive).
+ * @param {string|undefined} raw
+ * @returns {string}
+ */
+function normalizeOverwritePolicy(raw) {
+  const wanted = String(raw || "").trim().toLowerCase();
+  return OVERWRITE_POLICIES.find((p) => p.toLowerCase() === wanted) || DEFAULT_OVERWRITE_POLICY;
+}
+
+/**
+ * Interpret a persisted pin property value (JCR booleans may arrive as strings).
+ * @param {any} v
+ * @returns {boolean}
+ */
+export function isPinnedValue(v) {
+  return v === true || String(v || "").trim().toLowerCase() === "true";
+}
+
+/**
+ * Normalize the model's `metadataKey` into an ordered list of keys.
+ * Accepts a single key (`"dc:title"`), a comma-separated list (`"dc:description, dc:title"`)
+ * or an array (`["dc:description", "dc:title", "xmp:Label"]`).
+ *
+ * @param {string|string[]|undefined} raw
+ * @returns {string[]}
+ */
+function normalizeMetadataKeys(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || "").split(",");
+  const keys = list.map((k) => String(k || "").trim()).filter(Boolean);
+  // Drop duplicates while preserving the author-defined order.
+  return keys.filter((k, i) => keys.indexOf(k) === i);
+}
+
+/**
+ * Resolve an ordered fallback chain of metadata keys: the first key whose value is non-empty wins.
+ *
+ * @param {Record<string, any>|null} metadataJson
+ * @param {string[]} requestedKeys
+ * @returns {{value: any, resolvedKey: string, requestedKey: string, index: number}}
+ */
+const resolveMetadataValueChain = traceFn(
+  "resolveMetadataValueChain",
+  "all",
+  function resolveMetadataValueChain(metadataJson, requestedKeys) {
+    const keys = requestedKeys || [];
+    for (let i = 0; i < keys.length; i += 1) {
+      const resolved = resolveMetadataValue(metadataJson, keys[i]);
+      // "Empty" is judged on the written representation (e.g. `[]` or whitespace-only strings).
+      if (resolved.resolvedKey && stringifyMetadataValue(resolved.value)) {
+        return { ...resolved, requestedKey: keys[i], index: i };
+      }
+    }
+    return { value: "", resolvedKey: "", requestedKey: "", index: -1 };
+  }
+);
+
+/**
+ * Resolve a value spec (template or ordered key chain) against one fetched metadata JSON.
+ *
+ * A key chain value is first formatted with `format` (see metadataFormat.js; the locale follows the page
+ * of `resourcePath` unless `locale` overrides it). A template is never formatted: one format can't tell
+ * its placeholders apart. `transforms` (see valueTransforms.js) then run on the result;
+ * `transformTrace` lists each step's before/after.
+ *
+ * @param {Record<string, any>|null} metadataJson
+ * @param {{metadataKeys: string[], metadataTemplate?: string, transforms?: import("./valueTransforms").TransformStep[], format?: import("./metadataFormat").MetadataFormat|null, locale?: string}} spec
+ * @param {{resourcePath?: string}=} context
+ * @returns {{resolved: {value: any, resolvedKey: string, requestedKey: string, index: number}, metadataValue: string, placeholders: any[]|null, transformTrace: import("./valueTransforms").TransformTraceEntry[]}}
+ */
+export function resolveMetadataSpec(
+  metadataJson,
+  { metadataKeys, metadataTemplate, transforms, format, locale },
+  { resourcePath = "" } = {}
+) {
+  const steps = transforms || [];
+  if (metadataTemplate) {
+    // Every placeholder resolves against the same fetched metadata JSON.
+    const rendered = renderMetadataTemplate(metadataTemplate, (keys) => {
+      const r = resolveMetadataValueChain(metadataJson, keys);
+      return { value: stringifyMetadataValue(r.value), resolvedKey: r.resolvedKey };
+    });
+    const usedKeys = rendered.placeholders.map((p) => p.resolvedKey).filter(Boolean);
+    const transformed = applyTransforms(rendered.value, steps);
+    return {
+      resolved: {
+        value: rendered.value,
+        resolvedKey: usedKeys.join(", "),
+        requestedKey: "",
+        index: usedKeys.length ? 0 : -1,
+      },
+      metadataValue: steps.length ? transformed.value : rendered.value,
+      placeholders: rendered.placeholders,
+      transformTrace: transformed.trace,
+    };
+  }
+  const resolved = resolveMetadataValueChain(metadataJson, metadataKeys);
+  const formatted = format
+    ? formatMetadataValue(resolved.value, format, {
+        locale: resolveFormatLocale(locale, resourcePath),
+        lookup: (keys) => resolveMetadataValueChain(metadataJson, keys).value,
+        keys: metadataKeys,
+      })
+    : null;
+  const value = formatted ?? resolved.value;
+  if (!steps.length) {
+    return { resolved, metadataValue: stringifyMetadataValue(value), placeholders: null, transformTrace: [] };
+  }
+  const transformed = applyTransforms(value, steps);
+  return { resolved, metadataValue: transformed.value, placeholders: null, transformTrace: transformed.trace };
+}
+
+/**
+ * Parse the model's `metadataMapping` (object or JSON string) into sibling property specs:
+ * `{ imageCredit: "dc:creator", imageCaption: "{dc:title}[ — {dc:rights}]" }`. Values containing `{`
+ * are templates; anything else is a key or key fallback chain (array / comma-separated).
+ *
+ * @param {any} raw
+ * @param {string} ownProp this field's own property name (excluded; it uses metadataKey/metadataTemplate)
+ * @returns {Array<{prop: string, metadataKeys: string[], metadataTemplate: string}>}
+ */
+function parseMetadataMapping(raw, ownProp) {
+  let mapping = raw;
+  if (typeof mapping === "string") {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch {
+      return [];
+    }
+  }
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) return [];
+  const own = normalizeProp(ownProp || "");
+  return Object.keys(mapping)
+    .map((prop) => {
+      const spec = mapping[prop];
+      const isTemplate = typeof spec === "string" && spec.includes("{");
+      return {
+        prop: normalizeProp(prop),
+        metadataKeys: isTemplate ? [] : normalizeMetadataKeys(spec),
+        metadataTemplate: isTemplate ? spec.trim() : "",
+      };
+    })
+    .filter((m) => m.prop && m.prop !== own && (m.metadataTemplate || m.metadataKeys.length));
+}
+
+/**
+ * `fetch` with optional HTTP validators (`If-None-Match` / `If-Modified-Since`).
+ *
+ * Conditional headers make the request non-simple (CORS preflight). If the server's CORS policy doesn't
+ * allow them, the conditional request fails at the network level; we then retry once unconditionally.
+ * Both go through `fetchWithRetry` (classification, backoff, circuit breaker).
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {{etag?: string, lastModified?: string}=} validators
+ * @param {string} label
+ * @returns {Promise<Response>} 2xx or `304`; rejects with a FetchFailure otherwise
+ */
+async function fetchWithValidators(url, init, validators, label) {
+  const conditional = {};
+  if (validators?.etag) conditional["If-None-Match"] = validators.etag;
+  if (validators?.lastModified) conditional["If-Modified-Since"] = validators.lastModified;
+  if (Object.keys(conditional).length === 0) return await fetchWithRetry(url, init, label);
+  try {
+    return await fetchWithRetry(url, { ...init, headers: { ...(init.headers || {}), ...conditional } }, label);
+  } catch (e) {
+    if (!(e instanceof FetchFailure) || e.kind !== "network" || e.breakerOpen) throw e;
+    trace("tick", "fetchWithValidators:conditionalBlocked", { url: summarize(url) });
+    return await fetchWithRetry(url, init, label);
+  }
+}
+
+/**
+ * Read the validators of a metadata response for later revalidation.
+ * @param {Response} res
+ * @param {any} json
+ * @returns {{json: any, etag: string, lastModified: string, notModified: boolean}}
+ */
+function toRevalidatingResponse(res, json) {
+  return {
+    json,
+    etag: res.headers?.get("ETag") || "",
+    lastModified: res.headers?.get("Last-Modified") || "",
+    notModified: false,
+  };
+}
+
+/**
+ * Fetch the AEM Author DAM metadata JSON for a selected asset.
+ * Pass `validators` from a stored copy to revalidate it (`notModified: true` on `304`).
+ *
+ * @param {{aemHost: string, assetPath: string, authScheme?: string, token?: string, validators?: {etag?: string, lastModified?: string}, signal?: AbortSignal}} params
+ * @returns {Promise<{json: Record<string, any> | null, etag: string, lastModified: string, notModified: boolean}>}
+ */
+const fetchDamMetadataJson = traceFn(
+  "fetchDamMetadataJson",
+  "all",
+  async function fetchDamMetadataJson({ aemHost, assetPath, authScheme, token, validators, signal }) {
+    if (!aemHost || !assetPath) return { json: null, etag: "", lastModified: "", notModified: false };
+
+    const url = `${aemHost}${assetPath}/jcr:content/metadata.json`;
+    const headers = {};
+    if (token) headers.Authorization = `${authScheme || "Bearer"} ${token}`;
+
+    let res;
+    try {
+      res = await fetchWithValidators(
+        url,
+        { headers, credentials: "include", signal },
+        validators,
+        `DAM metadata ${assetPath}`
+      );
+    } catch (e) {
+      throw withCorsHint(
+        e,
+        `CORS/Network blocked while fetching DAM metadata from Author. ` +
+          `Allow Origin https://localhost:9080 on ${aemHost} for ${assetPath}/jcr:content/metadata.json`
+      );
+    }
+    if (res.status === 304) return { json: null, etag: "", lastModified: "", notModified: true };
+
+    return toRevalidatingResponse(res, await res.json());
+  }
+);
+
+/**
+ * Write a single metadata property on an AEM Author DAM asset via the Assets HTTP API
+ * (`PUT /api/assets/<path below /content/dam>`), using the same host/auth as `fetchDamMetadataJson`.
+ *
+ * @param {{aemHost: string, assetPath: string, key: string, value: string, authScheme?: string, token?: string}} params
+ * @returns {Promise<void>}
+ */
+export const saveDamMetadataValue = traceFn(
+  "saveDamMetadataValue",
+  "tick",
+  async function saveDamMetadataValue({ aemHost, assetPath, key, value, authScheme, token }) {
+    if (!aemHost || !assetPath || !key) throw new Error("Missing Author host, asset path or metadata key.");
+    if (!assetPath.startsWith("/content/dam/")) {
+      throw new Error(`Only DAM assets (/content/dam/...) can be updated: ${assetPath}`);
+    }
+
+    const apiPath = assetPath.slice("/content/dam".length);
+    const url = `${aemHost}/api/assets${apiPath}`;
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `${authScheme || "Bearer"} ${token}`;
+
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "PUT",
+        headers,
+        credentials: "include",
+        body: JSON.stringify({ class: "asset", properties: { [key]: value } }),
+      });
+    } catch (e) {
+      throw new Error(
+        `CORS/Network blocked while saving metadata to Author. ` +
+          `Allow Origin https://localhost:9080 and method PUT on ${aemHost} for /api/assets${apiPath}`
+      );
+    }
+    if (res.status === 401 || res.status === 403) {
+      throw new Error(`Permission denied (${res.status}): you cannot modify metadata of ${assetPath}`);
+    }
+    if (!res.ok) throw new Error(`Saving metadata failed (${res.status}) for ${assetPath}`);
+  }
+);
+
+/**
+ * Fetch metadata for an AEM asset delivered via Dynamic Media OpenAPI.
+ * Pass `validators` from a stored copy to revalidate it (`notModified: true` on `304`).
+ *
+ * @param {{deliveryOrigin: string, assetUrn: string, validators?: {etag?: string, lastModified?: string}, signal?: AbortSignal}} params
+ * @returns {Promise<{json: Record<string, any> | null, etag: string, lastModified: string, notModified: boolean}>}
+ */
+const fetchDeliveryMetadataJson = traceFn(
+  "fetchDeliveryMetadataJson",
+  "all",
+  async function fetchDeliveryMetadataJson({ deliveryOrigin, assetUrn, validators, signal }) {
+    if (!deliveryOrigin || !assetUrn) return { json: null, etag: "", lastModified: "", notModified: false };
+    const url = `${deliveryOrigin}/adobe/assets/${assetUrn}/metadata`;
+    // Delivery metadata is typically publicly readable (or authenticated via other means).
+    // Critically: many delivery responses use `Access-Control-Allow-Origin: *`, which is
+    // incompatible with `credentials: "include"` and will be blocked by the browser.
+    const res = await fetchWithValidators(
+      url,
+      { credentials: "omit", signal },
+      validators,
+      `Delivery metadata ${assetUrn}`
+    );
+    if (res.status === 304) return { json: null, etag: "", lastModified: "", notModified: true };
+    return toRevalidatingResponse(res, await res.json());
+  }
+);
+
+/**
+ * Field configuration from the UE component model of an `asset-metadata-default` field.
+ * @param {any} model
+ * @returns {Record<string, any>}
+ */
+export function buildFieldConfig(model) {
+  // Field model comes from UE; keep config defaults stable for v1.
+  const metadataKeys = normalizeMetadataKeys(model?.metadataKey);
+  if (metadataKeys.length === 0) metadataKeys.push("dc:title");
+  const metadataTemplate = String(model?.metadataTemplate || "").trim();
+  const format = parseFormat(model?.format);
+  if (format && metadataTemplate) {
+    trace("tick", "buildFieldConfig:formatIgnored", { field: model?.name || "", reason: "metadataTemplate is set" });
+  }
+  return {
+    assetField: model?.assetField || "image",
+    // Ordered fallback chain; `metadataKey` stays the primary key for status/trace output.
+    metadataKeys,
+    metadataKey: metadataKeys[0],
+    // When set, the template composes the value and takes precedence over `metadataKey`.
+    metadataTemplate,
+    overwritePolicy: normalizeOverwritePolicy(model?.overwritePolicy),
+    // `suggest`: show the candidate value with Apply/Dismiss instead of writing it.
+    applyMode: String(model?.applyMode || "").trim().toLowerCase() === "suggest" ? "suggest" : "auto",
+    // Sibling property (on the same component) that stores the pin flag; empty disables pinning.
+    pinField: normalizeProp(model?.pinField || ""),
+    // Sibling property that receives a provenance record on each apply; empty disables it.
+    provenanceField: normalizeProp(model?.provenanceField || ""),
+    // Opt-in: compare the stored value with fresh asset metadata on selection (one extra request each time).
+    detectMetadataChanges: model?.detectMetadataChanges === true,
+    // Opt-in "Save to asset": write the field value back to `metadataKey` on the DAM asset.
+    allowSaveToAsset: model?.allowSaveToAsset === true,
+    // Sibling properties filled from the same asset/metadata fetch by this one renderer.
+    metadataMapping: parseMetadataMapping(model?.metadataMapping, model?.name),
+    // Ordered value transforms applied to this field's own value before it is written.
+    transforms: parseTransforms(model?.transforms),
+    // Typed formatting of the key chain value (not of a template); `locale` overrides the page locale.
+    format: metadataTemplate ? null : format,
+    locale: String(model?.locale || "").trim(),
+    metadataMaxAgeMs: Math.max(0, Number(model?.metadataMaxAge ?? DEFAULT_METADATA_MAX_AGE_S) || 0) * 1000,
+    convergenceTimeoutMs:
+      Math.max(1, Number(model?.convergenceTimeout ?? DEFAULT_CONVERGENCE_TIMEOUT_S) || 0) * 1000,
+  };
+}
+
+/**
+ * Load asset metadata (DAM metadata JSON on Author, or delivery metadata for Dynamic Media assets)
+ * through the shared session cache and the persistent revalidating cache.
+ *
+ * @param {{resolvedDamPath: string, aemHost: string, authScheme?: string, token?: string, deliveryOrigin: string, assetUrn: string, maxAgeMs: number, force?: boolean, signal?: AbortSignal}} params
+ * @returns {Promise<Record<string, any>|null>}
+ */
+export async function loadAssetMetadata({
+  resolvedDamPath,
+  aemHost,
+  authScheme,
+  token,
+  deliveryOrigin,
+  assetUrn,
+  maxAgeMs,
+  force,
+  signal,
+}) {
+  // The session layer must not outlive the allowed age either.
+  const ttlMs = Math.min(METADATA_JSON_TTL_MS, maxAgeMs);
+  const key = resolvedDamPath
+    ? `metadata:dam:${aemHost}${resolvedDamPath}`
+    : `metadata:delivery:${deliveryOrigin}/${assetUrn}`;
+  const fetcher = resolvedDamPath
+    ? (validators) =>
+        fetchDamMetadataJson({
+          aemHost,
+          assetPath: resolvedDamPath,
+          authScheme,
+          token,
+          validators,
+          signal,
+        })
+    : (validators) =>
+        fetchDeliveryMetadataJson({
+          deliveryOrigin,
+          assetUrn,
+          validators,
+          signal,
+        });
+  return await getOrFetchShared(key, () => loadWithRevalidation(key, fetcher, { maxAgeMs, force }), {
+    ttlMs,
+    force,
+    signal,
+  });
+}
@@ -0,0 +1,256 @@
+/**
+ * Cross-iframe coordination of writes to one authored block.
+ *
+ * When a block has multiple instances of the renderer (e.g. Alt + Mime Type), each renderer may
+ * attempt to write shortly after the same asset selection. Some canvas renderers / block scripts
+ * are sensitive to rapid consecutive content patches (can manifest as temporary DOM duplication).
+ *
+ * We coordinate *within a single authored component instance* (block) by keying on:
+ * `${connectionName}|${resourcePath}|${assetField}`
+ *
+ * Writers hold a per-block lock (Web Locks, else a BroadcastChannel election on `BC_NAME`) and keep
+ * it for a small delay after writing. This does not change business logic—each field still applies
+ * defaults independently when the asset changes—but it avoids patch "bursts". Renderers and the
+ * page-wide sweep share the same lock, so their writes to one block never interleave.
+ */
+import { BC_NAME } from "./constants";
+import { trace, summarize } from "./trace";
+
+// Delay between successive writes within the same block.
+// This mitigates “patch bursts” that can trigger canvas rendering glitches in some environments.
+export const INTER_WRITE_DELAY_MS = 700;
+
+const selfId = `inst_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+const lockState = new Map(); // blockKey -> { ownerId, token, expiresAt }
+const proposals = new Map(); // blockKey -> Map(token -> { ts, instanceId, token, seenAt })
+
+let channel = null;
+let channelTried = false;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Wait the inter-write delay. Use between two patches of the same block inside one lock hold.
+ * @returns {Promise<void>}
+ */
+export function pauseBetweenWrites() {
+  return sleep(INTER_WRITE_DELAY_MS);
+}
+
+/**
+ * Start following other iframes' lock traffic (BroadcastChannel fallback). Call on mount: a writer
+ * that only starts listening when it wants the lock would miss a lock already committed elsewhere.
+ */
+export function listenForBlockLocks() {
+  getChannel();
+}
+
+function getChannel() {
+  if (channelTried) return channel;
+  channelTried = true;
+  if (typeof BroadcastChannel === "undefined") return null;
+  try {
+    channel = new BroadcastChannel(BC_NAME);
+    channel.addEventListener("message", (evt) => onChannelMessage(evt?.data || {}));
+    trace("tick", "blockWriteLock:bc:ready", { name: BC_NAME });
+  } catch {
+    // ignore (some environments may throw)
+    trace("tick", "blockWriteLock:bc:unavailable");
+    channel = null;
+  }
+  return channel;
+}
+
+function onChannelMessage(msg) {
+  const type = String(msg?.type || "");
+  const blockKey = String(msg?.blockKey || "");
+  if (!type || !blockKey) return;
+
+  const now = Date.now();
+  getLockState(blockKey); // expire a stale lock
+
+  if (type === "proposal") {
+    const ts = Number(msg?.ts || 0);
+    const instanceId = String(msg?.instanceId || "");
+    if (!ts || !instanceId) return;
+    const token = `${ts}|${instanceId}`;
+
+    let m = proposals.get(blockKey);
+    if (!m) {
+      m = new Map();
+      proposals.set(blockKey, m);
+    }
+    m.set(token, { ts, instanceId, token, seenAt: now });
+
+    // Trim stale proposals (keep this lightweight).
+    for (const [k, v] of m.entries()) {
+      if (!v?.seenAt || now - v.seenAt > 1500) m.delete(k);
+    }
+    return;
+  }
+
+  if (type === "commit") {
+    const ts = Number(msg?.ts || 0);
+    const instanceId = String(msg?.instanceId || "");
+    const expiresAt = Number(msg?.expiresAt || 0);
+    if (!ts || !instanceId || !expiresAt) return;
+    const token = `${ts}|${instanceId}`;
+    lockState.set(blockKey, { ownerId: instanceId, token, expiresAt });
+    proposals.delete(blockKey);
+    return;
+  }
+
+  if (type === "release") {
+    const instanceId = String(msg?.instanceId || "");
+    const st = lockState.get(blockKey);
+    if (st && st.ownerId === instanceId) {
+      lockState.delete(blockKey);
+    }
+  }
+}
+
+function getLockState(blockKey) {
+  const st = lockState.get(blockKey);
+  if (st && st.expiresAt && st.expiresAt <= Date.now()) {
+    lockState.delete(blockKey);
+    return null;
+  }
+  return st || null;
+}
+
+function post(msg) {
+  try {
+    getChannel()?.postMessage(msg);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Acquire a per-block lock (BroadcastChannel) to serialize writes across multiple iframes.
+ * @param {string} blockKey
+ * @returns {Promise<null | (() => Promise<void>)>} release function or null if BC unavailable
+ */
+async function acquireBlockLockBC(blockKey) {
+  if (!getChannel() || !blockKey) return null;
+
+  const startedAt = Date.now();
+  const timeoutMs = 6500;
+  const ttlMs = 5000;
+  const settleMs = 140;
+  const postCommitSettleMs = 60;
+
+  while (Date.now() - startedAt < timeoutMs) {
+    const st = getLockState(blockKey);
+    if (st && st.ownerId && st.ownerId !== selfId) {
+      // Wait until released/expired.
+      await sleep(180);
+      continue;
+    }
+    if (st && st.ownerId === selfId) {
+      // We already hold it.
+      return async () => {};
+    }
+
+    // Propose ourselves as leader for this blockKey.
+    const ts = Date.now();
+    const token = `${ts}|${selfId}`;
+
+    // Record our own proposal locally and broadcast it.
+    let m = proposals.get(blockKey);
+    if (!m) {
+      m = new Map();
+      proposals.set(blockKey, m);
+    }
+    m.set(token, { ts, instanceId: selfId, token, seenAt: ts });
+    post({ type: "proposal", blockKey, ts, instanceId: selfId });
+
+    // Collect proposals for a short settle window.
+    await sleep(settleMs);
+
+    const list = Array.from((proposals.get(blockKey) || new Map()).values())
+      .filter((p) => p && p.ts && p.instanceId)
+      // Trim stale items (defensive).
+      .filter((p) => Date.now() - (p.seenAt || 0) <= 1500);
+
+    // Always include our own token in case it was trimmed.
+    if (!list.find((p) => p.token === token)) list.push({ ts, instanceId: selfId, token, seenAt: ts });
+
+    // Pick deterministic winner: lowest ts, then lowest instanceId.
+    list.sort((a, b) => {
+      if (a.ts !== b.ts) return a.ts - b.ts;
+      return String(a.instanceId).localeCompare(String(b.instanceId));
+    });
+    const winner = list[0];
+
+    if (winner && winner.instanceId === selfId) {
+      const expiresAt = Date.now() + ttlMs;
+      lockState.set(blockKey, { ownerId: selfId, token, expiresAt });
+      post({ type: "commit", blockKey, ts, instanceId: selfId, expiresAt });
+
+      // Briefly yield to allow another commit to be observed (rare race).
+      await sleep(postCommitSettleMs);
+      const st2 = getLockState(blockKey);
+      if (st2 && st2.ownerId === selfId && st2.token === token) {
+        trace("tick", "blockWriteLock:acquired", {
+          blockKey: summarize(blockKey),
+          waitedMs: Date.now() - startedAt,
+        });
+        return async () => {
+          // Space out patch bursts by delaying release slightly.
+          await sleep(INTER_WRITE_DELAY_MS);
+          // Only release if we're still the owner.
+          const cur = getLockState(blockKey);
+          if (cur && cur.ownerId === selfId) {
+            lockState.delete(blockKey);
+            post({ type: "release", blockKey, instanceId: selfId });
+            trace("tick", "blockWriteLock:released", { blockKey: summarize(blockKey) });
+          }
+        };
+      }
+    }
+
+    // Lost or conflicted: wait a bit before retrying.
+    await sleep(220);
+  }
+
+  trace("tick", "blockWriteLock:timeout", { blockKey });
+  return null;
+}
+
+/**
+ * Serialize writes within a single block.
+ *
+ * Prefer Web Locks API when available (atomic, no election needed). Fall back to BroadcastChannel.
+ *
+ * @template T
+ * @param {string} blockKey
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withBlockWriteLock(blockKey, fn) {
+  if (!blockKey) return await fn();
+
+  // Web Locks API (Chrome/Edge; increasingly available elsewhere). This works across iframes for the same origin.
+  const lockName = `ue.assetmetadatadefaults:block:${blockKey}`;
+  const locks = typeof navigator !== "undefined" ? navigator.locks : null;
+  if (locks && typeof locks.request === "function") {
+    trace("tick", "blockWriteLock:usingWebLocks", { lockName: summarize(lockName) });
+    // Ensure only one writer at a time for this blockKey.
+    // Note: we intentionally add a delay while still holding the lock to avoid immediate back-to-back patches.
+    // eslint-disable-next-line no-return-await
+    return await locks.request(lockName, { mode: "exclusive" }, async () => {
+      const v = await fn();
+      await sleep(INTER_WRITE_DELAY_MS);
+      return v;
+    });
+  }
+
+  const release = await acquireBlockLockBC(blockKey);
+  if (!release) return await fn();
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
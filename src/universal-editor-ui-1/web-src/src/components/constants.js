@@ -1,4 +1,6 @@
 export const extensionId = "uixassetmetadatadefaults";
 export const rendererDataType = "asset-metadata-default";
+// BroadcastChannel shared by the extension's iframes (write locks, metadata cache, host event bus).
+export const BC_NAME = "ue.assetmetadatadefaults.v1";
 
 
@@ -0,0 +1,76 @@
+/**
+ * Parse Universal Editor structure events (`aue:content-add`, `-copy`, `-move`, `-remove`) into the
+ * component resources they create or retire.
+ *
+ * Payloads are read defensively: host versions differ in how they nest `request` / `response`, so we
+ * look at the documented locations first and fall back to any `resource` URN found in the payload.
+ */
+
+const STRUCTURE_EVENTS = {
+  "aue:content-add": "add",
+  "aue:content-copy": "copy",
+  "aue:content-move": "move",
+  "aue:content-remove": "remove",
+};
+
+/**
+ * @param {any} v
+ * @returns {string}
+ */
+function asResource(v) {
+  const s = typeof v === "string" ? v.trim() : "";
+  return s.startsWith("urn:") ? s : "";
+}
+
+/**
+ * Collect every `resource` URN in a (small) payload.
+ * @param {any} node
+ * @param {number} depth
+ * @param {string[]} out
+ * @returns {string[]}
+ */
+function collectResources(node, depth = 0, out = []) {
+  if (!node || typeof node !== "object" || depth > 6) return out;
+  for (const [k, v] of Object.entries(node)) {
+    if (k === "resource" && asResource(v)) out.push(asResource(v));
+    else if (v && typeof v === "object") collectResources(v, depth + 1, out);
+  }
+  return out;
+}
+
+/**
+ * @param {string} eventName
+ * @param {any} data event payload forwarded by `events.listen`
+ * @returns {{kind: "add"|"copy"|"move"|"remove", added: string[], removed: string[]}|null}
+ *   `added`: resources that now hold a (new or relocated) component; `removed`: resources that no longer do.
+ *   null for other events.
+ */
+export function parseStructureEvent(eventName, data) {
+  const kind = STRUCTURE_EVENTS[String(eventName || "")];
+  if (!kind) return null;
+  const request = data?.request || data?.detail?.request || {};
+  const response = data?.response || data?.detail?.response || {};
+  const containers = new Set(
+    [request?.target?.container?.resource, request?.to?.container?.resource, request?.from?.container?.resource]
+      .map(asResource)
+      .filter(Boolean)
+  );
+  const distinct = (list) => Array.from(new Set(list.filter(Boolean)));
+
+  if (kind === "remove") {
+    const target = asResource(request?.target?.resource);
+    return { kind, added: [], removed: target ? [target] : distinct(collectResources(request)) };
+  }
+
+  const created = asResource(response?.resource);
+  if (kind === "add" || kind === "copy") {
+    const added = created ? [created] : collectResources(response).filter((r) => !containers.has(r));
+    return { kind, added: distinct(added), removed: [] };
+  }
+
+  // move: the component leaves its old resource and (usually) gets a new one.
+  const source = asResource(request?.component?.resource) || asResource(request?.target?.resource);
+  const destination = created || asResource(request?.to?.resource);
+  if (source && destination && source === destination) return { kind, added: [], removed: [] };
+  return { kind, added: distinct([destination]), removed: distinct([source]) };
+}
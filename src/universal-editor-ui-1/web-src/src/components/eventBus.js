@@ -0,0 +1,179 @@
+/**
+ * Event bus from the registration iframe (which receives Universal Editor host events) to renderer
+ * iframes.
+ *
+ * - Transport: the `BC_NAME` BroadcastChannel. When BroadcastChannel is unavailable, the publisher
+ *   writes its recent events to localStorage (`LAST_UE_EVENT_KEY`) and subscribers read them from
+ *   `storage` events instead.
+ * - Every event carries the publisher id and a per-publisher sequence number. Subscribers drop what
+ *   they have already seen (the same event can arrive through both transports), but never drop two
+ *   distinct events that share a millisecond timestamp.
+ * - The publisher keeps a short replay buffer. A renderer that mounts after the selection event asks
+ *   for it on subscribe, so it still sees the most recent selection. Only that `aue:ui-select` is
+ *   replayed: a replayed content patch or structure event would be handled like a live edit.
+ */
+import { BC_NAME } from "./constants";
+import { trace } from "./trace";
+
+const LAST_UE_EVENT_KEY = "ue.assetmetadatadefaults.lastUeEvent";
+const REPLAY_BUFFER_SIZE = 20;
+// Older events describe a selection the author has most likely left already.
+const REPLAY_MAX_AGE_MS = 30000;
+const REPLAYED_EVENT_NAME = "aue:ui-select";
+
+/**
+ * @typedef {{publisherId: string, seq: number, ts: number, eventName: string, data: any}} UeEvent
+ */
+
+function openChannel() {
+  if (typeof BroadcastChannel === "undefined") return null;
+  try {
+    return new BroadcastChannel(BC_NAME);
+  } catch {
+    return null;
+  }
+}
+
+function recentEvents(events) {
+  const cutoff = Date.now() - REPLAY_MAX_AGE_MS;
+  return events.filter((e) => e.ts >= cutoff);
+}
+
+/**
+ * Host event data may contain values that can't be cloned/posted; keep only its JSON form.
+ * @param {any} data
+ * @returns {any}
+ */
+function toPlainData(data) {
+  try {
+    return data === undefined ? null : JSON.parse(JSON.stringify(data));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the publisher used by the registration iframe.
+ * @returns {{publish: (eventName: string, data: any) => UeEvent, close: () => void}}
+ */
+export function createUeEventPublisher() {
+  const publisherId = `pub_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  const buffer = [];
+  let seq = 0;
+  const channel = openChannel();
+
+  if (channel) {
+    channel.addEventListener("message", (evt) => {
+      const msg = evt?.data || {};
+      if (msg.type !== "ueEvent:replayRequest") return;
+      channel.postMessage({ type: "ueEvent:replay", to: String(msg.subscriberId || ""), events: recentEvents(buffer) });
+    });
+  }
+
+  const publish = (eventName, data) => {
+    seq += 1;
+    const event = { publisherId, seq, ts: Date.now(), eventName: String(eventName || ""), data: toPlainData(data) };
+    buffer.push(event);
+    if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift();
+
+    if (channel) {
+      try {
+        channel.postMessage({ type: "ueEvent:event", event });
+        return event;
+      } catch {
+        // fall back to storage below
+      }
+    }
+    try {
+      window.localStorage?.setItem(LAST_UE_EVENT_KEY, JSON.stringify({ events: recentEvents(buffer) }));
+    } catch {
+      // ignore (storage blocked as well: nothing else we can do)
+    }
+    return event;
+  };
+
+  const close = () => {
+    try {
+      channel?.close();
+    } catch {
+      // ignore
+    }
+  };
+
+  return { publish, close };
+}
+
+/**
+ * Subscribe a renderer to host events. The most recent selection event is replayed once on subscribe.
+ *
+ * @param {(event: UeEvent & {replayed: boolean}) => void} handler
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeUeEvents(handler) {
+  const subscriberId = `sub_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  const lastSeqByPublisher = new Map();
+  const channel = openChannel();
+
+  const deliver = (event, replayed) => {
+    if (!event || !event.publisherId || !event.eventName) return;
+    const lastSeq = lastSeqByPublisher.get(event.publisherId) || 0;
+    if (event.seq <= lastSeq) return;
+    lastSeqByPublisher.set(event.publisherId, event.seq);
+    handler({ ...event, replayed });
+  };
+
+  const deliverAll = (events, replayed) => {
+    const list = Array.isArray(events) ? events.slice().sort((a, b) => a.seq - b.seq) : [];
+    if (!replayed) {
+      list.forEach((e) => deliver(e, false));
+      return;
+    }
+    // Replay only the latest selection; mark the rest as seen so the other transport can't deliver them later.
+    const latestSelect = list.filter((e) => e?.eventName === REPLAYED_EVENT_NAME).pop();
+    if (latestSelect) {
+      trace("tick", "eventBus:replay", { seq: latestSelect.seq, skipped: list.length - 1 });
+      deliver(latestSelect, true);
+    }
+    list.forEach((e) => {
+      if (!e?.publisherId) return;
+      const lastSeq = lastSeqByPublisher.get(e.publisherId) || 0;
+      if (e.seq > lastSeq) lastSeqByPublisher.set(e.publisherId, e.seq);
+    });
+  };
+
+  if (channel) {
+    channel.addEventListener("message", (evt) => {
+      const msg = evt?.data || {};
+      if (msg.type === "ueEvent:event") deliver(msg.event, false);
+      else if (msg.type === "ueEvent:replay" && msg.to === subscriberId) deliverAll(msg.events, true);
+    });
+    channel.postMessage({ type: "ueEvent:replayRequest", subscriberId });
+  }
+
+  const readStoredEvents = (raw) => {
+    try {
+      return recentEvents(JSON.parse(String(raw || "{}"))?.events || []);
+    } catch {
+      return [];
+    }
+  };
+  const onStorage = (e) => {
+    if (!e || e.key !== LAST_UE_EVENT_KEY) return;
+    deliverAll(readStoredEvents(e.newValue), false);
+  };
+  window.addEventListener("storage", onStorage);
+  try {
+    deliverAll(readStoredEvents(window.localStorage?.getItem(LAST_UE_EVENT_KEY)), true);
+  } catch {
+    // ignore (storage blocked)
+  }
+
+  return () => {
+    window.removeEventListener("storage", onStorage);
+    try {
+      channel?.close();
+    } catch {
+      // ignore
+    }
+  };
+}
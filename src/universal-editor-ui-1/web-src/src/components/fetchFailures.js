@@ -0,0 +1,228 @@
+/**
+ * Failure classification, retries and a per-host circuit breaker for metadata/component fetches.
+ *
+ * - Every failed request becomes a `FetchFailure` with a `kind`:
+ *   `auth` (401/403), `notFound` (404/410), `network` (CORS block or offline), `throttled` (429, or
+ *   503 with `Retry-After`), `server` (other 5xx) or `unknown` (anything else).
+ * - Temporary failures (`throttled`, `server`) are retried with exponential backoff and full jitter.
+ *   A `Retry-After` header sets the minimum wait.
+ * - Host-wide permanent failures (`auth`, `network`) count towards a per-host circuit breaker. Once it
+ *   is open, requests to that host fail right away (same `kind`) until the breaker cools down, so a
+ *   misconfigured host is not hammered by every event. `notFound` is permanent for one asset, not for
+ *   the host, so it does not trip the breaker.
+ */
+import { isAbortError, throwIfAborted } from "./abort";
+import { trace, summarize } from "./trace";
+
+const MAX_ATTEMPTS = 4;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_CAP_MS = 8000;
+// Longer server-requested waits are not worth blocking the field; fail and let the next event retry.
+const MAX_RETRY_AFTER_MS = 30000;
+// Consecutive host-wide failures before the breaker opens, and how long it stays open.
+const BREAKER_THRESHOLD = 2;
+const BREAKER_OPEN_MS = 30000;
+
+const breakers = new Map(); // origin -> { failures, openUntil, kind, status }
+
+/**
+ * A classified fetch failure. `message` stays technical (console/debug panel); authors see a message
+ * chosen from `kind`.
+ */
+export class FetchFailure extends Error {
+  /**
+   * @param {"auth"|"notFound"|"network"|"throttled"|"server"|"unknown"} kind
+   * @param {string} message
+   * @param {{status?: number, origin?: string, retryAfterMs?: number, breakerOpen?: boolean}=} details
+   */
+  constructor(kind, message, { status = 0, origin = "", retryAfterMs = 0, breakerOpen = false } = {}) {
+    super(message);
+    this.name = "FetchFailure";
+    this.kind = kind;
+    this.status = status;
+    this.origin = origin;
+    this.retryAfterMs = retryAfterMs;
+    this.breakerOpen = breakerOpen;
+  }
+}
+
+/**
+ * @param {number} status
+ * @param {number} retryAfterMs
+ * @returns {"auth"|"notFound"|"throttled"|"server"|"unknown"}
+ */
+function classifyStatus(status, retryAfterMs) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 404 || status === 410) return "notFound";
+  if (status === 429 || (status === 503 && retryAfterMs > 0)) return "throttled";
+  if (status >= 500) return "server";
+  return "unknown";
+}
+
+/**
+ * Whether a failure kind is worth retrying right away.
+ * @param {string} kind
+ * @returns {boolean}
+ */
+export function isTransientFailure(kind) {
+  return kind === "throttled" || kind === "server";
+}
+
+/**
+ * Parse a `Retry-After` header (delta seconds or HTTP date) into milliseconds; 0 when absent/invalid.
+ * @param {string|null} value
+ * @param {number} now
+ * @returns {number}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  const raw = String(value || "").trim();
+  if (!raw) return 0;
+  if (/^\d+$/.test(raw)) return Number(raw) * 1000;
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? 0 : Math.max(0, at - now);
+}
+
+/**
+ * Backoff delay before retry number `attempt` (1-based): full jitter over an exponential window,
+ * never shorter than what the server asked for.
+ * @param {number} attempt
+ * @param {number} retryAfterMs
+ * @returns {number}
+ */
+function backoffDelay(attempt, retryAfterMs) {
+  const window = Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.max(retryAfterMs, Math.round(Math.random() * window));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      try {
+        throwIfAborted(signal);
+      } catch (e) {
+        reject(e);
+      }
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener?.("abort", onAbort, { once: true });
+  });
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return "";
+  }
+}
+
+function recordSuccess(origin) {
+  if (breakers.has(origin)) {
+    breakers.delete(origin);
+    trace("tick", "fetchFailures:breaker:closed", { origin });
+  }
+}
+
+function recordHostFailure(origin, failure) {
+  const state = breakers.get(origin) || { failures: 0, openUntil: 0, kind: "", status: 0 };
+  state.failures += 1;
+  state.kind = failure.kind;
+  state.status = failure.status;
+  if (state.failures >= BREAKER_THRESHOLD) {
+    state.openUntil = Date.now() + BREAKER_OPEN_MS;
+    trace("tick", "fetchFailures:breaker:open", { origin, kind: failure.kind, failures: state.failures });
+  }
+  breakers.set(origin, state);
+}
+
+/**
+ * Close every breaker (e.g. the author explicitly asked to refresh).
+ */
+export function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+/**
+ * `fetch` with failure classification, retries for temporary failures and the per-host breaker.
+ *
+ * Resolves with the response for 2xx and `304`; every other outcome rejects with a `FetchFailure`
+ * (or the AbortError when `init.signal` aborts, including during a backoff wait).
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {string} label what is being fetched, for technical messages (e.g. "DAM metadata")
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, init, label) {
+  const origin = originOf(url);
+  const breaker = breakers.get(origin);
+  if (breaker && breaker.openUntil > Date.now()) {
+    trace("tick", "fetchFailures:breaker:rejected", { origin, kind: breaker.kind });
+    throw new FetchFailure(breaker.kind, `${label}: requests to ${origin} are paused after repeated failures`, {
+      status: breaker.status,
+      origin,
+      breakerOpen: true,
+    });
+  }
+
+  for (let attempt = 1; ; attempt += 1) {
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      const failure = new FetchFailure("network", `CORS/Network blocked while fetching ${label} from ${origin}`, {
+        origin,
+      });
+      recordHostFailure(origin, failure);
+      throw failure;
+    }
+
+    if (res.ok || res.status === 304) {
+      recordSuccess(origin);
+      return res;
+    }
+
+    const retryAfterMs = parseRetryAfter(res.headers?.get("Retry-After"));
+    const kind = classifyStatus(res.status, retryAfterMs);
+    const failure = new FetchFailure(kind, `${label} fetch failed (${res.status})`, {
+      status: res.status,
+      origin,
+      retryAfterMs,
+    });
+    const canRetry = isTransientFailure(kind) && attempt < MAX_ATTEMPTS && retryAfterMs <= MAX_RETRY_AFTER_MS;
+    if (!canRetry) {
+      if (kind === "auth") recordHostFailure(origin, failure);
+      throw failure;
+    }
+    const delayMs = backoffDelay(attempt, retryAfterMs);
+    trace("tick", "fetchFailures:retry", { url: summarize(url), status: res.status, kind, attempt, delayMs });
+    await sleep(delayMs, init?.signal);
+  }
+}
+
+export const MSG_FAILED_ASSET_DETAILS = "Failed to read the asset details. Please try again.";
+const MSG_FAILED_AUTH = "You don't have access to this asset's details. Sign in again or ask an administrator.";
+const MSG_FAILED_NOT_FOUND = "The asset could not be found. It may have been moved or deleted.";
+const MSG_FAILED_NETWORK = "Could not reach the asset service. Check your connection and try again.";
+const MSG_FAILED_THROTTLED = "The asset service is busy. Please try again in a moment.";
+const MSG_FAILED_SERVER = "The asset service is having problems. Please try again later.";
+
+/**
+ * Author-facing message for a failure (technical details stay in the console/debug panel).
+ * @param {any} e
+ * @returns {string}
+ */
+export function failureMessage(e) {
+  if (!(e instanceof FetchFailure)) return MSG_FAILED_ASSET_DETAILS;
+  if (e.kind === "auth") return MSG_FAILED_AUTH;
+  if (e.kind === "notFound") return MSG_FAILED_NOT_FOUND;
+  if (e.kind === "network") return MSG_FAILED_NETWORK;
+  if (e.kind === "throttled") return MSG_FAILED_THROTTLED;
+  if (e.kind === "server") return MSG_FAILED_SERVER;
+  return MSG_FAILED_ASSET_DETAILS;
+}
@@ -0,0 +1,80 @@
+/**
+ * Field validation from the component model: `required`, `minLength`, `maxLength` and `pattern`.
+ *
+ * The constraints are read from the field itself and, like Universal Editor's own text fields, from a
+ * `validation` object (`minLength`, `maxLength`, `regExp`, `customErrorMsg`); top-level values win.
+ */
+import { trace } from "./trace";
+
+/**
+ * @typedef {{required: boolean, minLength: number, maxLength: number, pattern: RegExp|null, customMessage: string}} ValidationRules
+ */
+
+/**
+ * @param {any} v
+ * @returns {number} 0 when unset/invalid
+ */
+function positiveInt(v) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * @param {any} raw
+ * @returns {RegExp|null}
+ */
+function compilePattern(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  // Like HTML `pattern`: the whole value has to match. Unicode mode first (like HTML), then without it:
+  // `u` rejects identity escapes such as `[\-\ ]` that Universal Editor's own `regExp` accepts.
+  for (const flags of ["u", ""]) {
+    try {
+      return new RegExp(`^(?:${s})$`, flags);
+    } catch (e) {
+      if (flags) continue;
+      trace("tick", "fieldValidation:invalidPattern", { pattern: s, message: String(e?.message || e) });
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize the model's validation settings; null when the field has no constraint.
+ * @param {any} model
+ * @returns {ValidationRules|null}
+ */
+export function parseValidationRules(model) {
+  const nested = model?.validation && typeof model.validation === "object" ? model.validation : {};
+  const rules = {
+    required: model?.required === true || model?.required === "true",
+    minLength: positiveInt(model?.minLength ?? nested.minLength),
+    maxLength: positiveInt(model?.maxLength ?? nested.maxLength),
+    pattern: compilePattern(model?.pattern ?? nested.regExp ?? nested.pattern),
+    customMessage: String(nested.customErrorMsg || "").trim(),
+  };
+  return rules.required || rules.minLength || rules.maxLength || rules.pattern ? rules : null;
+}
+
+/**
+ * Validate a value. Length and pattern are only checked on non-empty values (an empty optional field
+ * is valid).
+ *
+ * @param {string} value
+ * @param {ValidationRules|null} rules
+ * @returns {{valid: boolean, rule: string, message: string}}
+ */
+export function validateValue(value, rules) {
+  if (!rules) return { valid: true, rule: "", message: "" };
+  const text = String(value || "").trim();
+  const fail = (rule, message) => ({ valid: false, rule, message: rules.customMessage || message });
+  if (!text) return rules.required ? fail("required", "This field is required.") : { valid: true, rule: "", message: "" };
+  if (rules.minLength && text.length < rules.minLength) {
+    return fail("minLength", `Enter at least ${rules.minLength} characters.`);
+  }
+  if (rules.maxLength && text.length > rules.maxLength) {
+    return fail("maxLength", `Enter at most ${rules.maxLength} characters (currently ${text.length}).`);
+  }
+  if (rules.pattern && !rules.pattern.test(text)) return fail("pattern", "The value doesn’t have the expected format.");
+  return { valid: true, rule: "", message: "" };
+}
@@ -0,0 +1,245 @@
+/**
+ * Metadata/component JSON cache shared by all renderer iframes of one editor session.
+ *
+ * Every renderer instance runs in its own iframe, so a module-level Map alone only helps a single field.
+ * Sharing works in layers:
+ * - memory (this iframe JS context) for instant hits,
+ * - `sessionStorage` (same origin + same tab, so all renderer iframes of this editor see it),
+ * - `BroadcastChannel` (`BC_NAME`) to announce in-flight fetches and publish results, so iframes that
+ *   can't use storage (partitioned/blocked) still benefit and concurrent misses are deduplicated.
+ *
+ * Entries expire after a per-call TTL. Component JSON entries (`component:` keys) are invalidated on
+ * `aue:content-patch` because that is exactly when `<resource>.json` changes.
+ */
+import { isAbortError } from "./abort";
+import { BC_NAME } from "./constants";
+import { trace } from "./trace";
+
+const STORAGE_PREFIX = "ue.assetmetadatadefaults.cache:";
+// How long to wait for another iframe's in-flight fetch before fetching ourselves.
+const PEER_INFLIGHT_WAIT_MS = 3000;
+// Bound the memory layer (sessionStorage entries are bounded by TTL + invalidation).
+const MAX_MEMORY_ENTRIES = 200;
+
+const memory = new Map(); // key -> { value, expiresAt }
+const inflight = new Map(); // key -> { promise, signal }
+const peerInflight = new Map(); // key -> expiresAt
+const peerWaiters = new Map(); // key -> Set<(entry|null) => void>
+const stats = { hits: 0, misses: 0, deduped: 0 };
+const selfId = `cache_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+let channel = null;
+let channelTried = false;
+
+function getChannel() {
+  if (channelTried) return channel;
+  channelTried = true;
+  if (typeof BroadcastChannel === "undefined") return null;
+  try {
+    channel = new BroadcastChannel(BC_NAME);
+    channel.addEventListener("message", (evt) => onChannelMessage(evt?.data || {}));
+  } catch {
+    channel = null;
+  }
+  return channel;
+}
+
+function post(msg) {
+  try {
+    getChannel()?.postMessage({ ...msg, instanceId: selfId });
+  } catch {
+    // ignore (e.g. non-cloneable value)
+  }
+}
+
+function onChannelMessage(msg) {
+  const type = String(msg?.type || "");
+  if (!type.startsWith("cache:") || msg.instanceId === selfId) return;
+  const key = String(msg.key || "");
+
+  if (type === "cache:inflight" && key) {
+    peerInflight.set(key, Date.now() + PEER_INFLIGHT_WAIT_MS);
+    return;
+  }
+  if (type === "cache:put" && key) {
+    const entry = { value: msg.value, expiresAt: Number(msg.expiresAt || 0) };
+    if (entry.expiresAt > Date.now()) setMemory(key, entry);
+    peerInflight.delete(key);
+    resolvePeerWaiters(key, entry);
+    return;
+  }
+  if (type === "cache:failed" && key) {
+    peerInflight.delete(key);
+    resolvePeerWaiters(key, null);
+    return;
+  }
+  if (type === "cache:invalidate") {
+    invalidateLocal(String(msg.prefix || ""));
+  }
+}
+
+function resolvePeerWaiters(key, entry) {
+  const waiters = peerWaiters.get(key);
+  if (!waiters) return;
+  peerWaiters.delete(key);
+  waiters.forEach((resolve) => resolve(entry));
+}
+
+function setMemory(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+  while (memory.size > MAX_MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+}
+
+function readStorage(key) {
+  try {
+    const raw = window.sessionStorage?.getItem(STORAGE_PREFIX + key);
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    return entry && typeof entry.expiresAt === "number" ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(key, entry) {
+  try {
+    window.sessionStorage?.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+  } catch {
+    // Ignore quota/privacy-mode errors; memory + BroadcastChannel still work.
+  }
+}
+
+function invalidateLocal(prefix) {
+  for (const key of Array.from(memory.keys())) {
+    if (key.startsWith(prefix)) memory.delete(key);
+  }
+  try {
+    const storage = window.sessionStorage;
+    if (!storage) return;
+    const doomed = [];
+    for (let i = 0; i < storage.length; i += 1) {
+      const k = storage.key(i) || "";
+      if (k.startsWith(STORAGE_PREFIX + prefix)) doomed.push(k);
+    }
+    doomed.forEach((k) => storage.removeItem(k));
+  } catch {
+    // ignore
+  }
+}
+
+function lookup(key) {
+  const now = Date.now();
+  const mem = memory.get(key);
+  if (mem && mem.expiresAt > now) return mem;
+  if (mem) memory.delete(key);
+  const stored = readStorage(key);
+  if (stored && stored.expiresAt > now) {
+    setMemory(key, stored);
+    return stored;
+  }
+  return null;
+}
+
+function waitForPeer(key) {
+  return new Promise((resolve) => {
+    let waiters = peerWaiters.get(key);
+    if (!waiters) {
+      waiters = new Set();
+      peerWaiters.set(key, waiters);
+    }
+    const done = (entry) => {
+      clearTimeout(timer);
+      resolve(entry);
+    };
+    const timer = setTimeout(() => {
+      waiters.delete(done);
+      resolve(null);
+    }, Math.max(0, (peerInflight.get(key) || 0) - Date.now()));
+    waiters.add(done);
+  });
+}
+
+/**
+ * Return a cached value for `key`, or run `fetcher` once (per key, across iframes) and cache its result.
+ *
+ * @template T
+ * @param {string} key cache key; prefix with `component:` / `metadata:` (see invalidateSharedCache)
+ * @param {() => Promise<T>} fetcher
+ * @param {{ttlMs: number, force?: boolean, signal?: AbortSignal}} options `force` skips cached entries (the
+ *   result is still stored); `signal` is the caller's run signal, also used by `fetcher`
+ * @returns {Promise<T>}
+ */
+export async function getOrFetchShared(key, fetcher, { ttlMs, force = false, signal }) {
+  getChannel();
+
+  if (!force) {
+    const hit = lookup(key);
+    if (hit) {
+      stats.hits += 1;
+      trace("tick", "metadataCache:hit", { key });
+      return hit.value;
+    }
+    // Join an in-flight fetch unless its run was cancelled; if it gets cancelled while we wait (and we
+    // were not), fall through and fetch ourselves.
+    const local = inflight.get(key);
+    if (local && !local.signal?.aborted) {
+      stats.deduped += 1;
+      trace("tick", "metadataCache:dedupe", { key, source: "local" });
+      try {
+        return await local.promise;
+      } catch (e) {
+        if (!isAbortError(e) || signal?.aborted) throw e;
+      }
+    }
+    if ((peerInflight.get(key) || 0) > Date.now()) {
+      const entry = await waitForPeer(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        stats.deduped += 1;
+        trace("tick", "metadataCache:dedupe", { key, source: "peer" });
+        return entry.value;
+      }
+    }
+  }
+
+  stats.misses += 1;
+  trace("tick", "metadataCache:miss", { key, force });
+  post({ type: "cache:inflight", key });
+  const own = { promise: null, signal };
+  inflight.set(key, own);
+  own.promise = (async () => {
+    try {
+      const value = await fetcher();
+      const entry = { value, expiresAt: Date.now() + ttlMs };
+      setMemory(key, entry);
+      writeStorage(key, entry);
+      post({ type: "cache:put", key, value, expiresAt: entry.expiresAt });
+      return value;
+    } catch (e) {
+      post({ type: "cache:failed", key });
+      throw e;
+    } finally {
+      if (inflight.get(key) === own) inflight.delete(key);
+    }
+  })();
+  return await own.promise;
+}
+
+/**
+ * Drop cached entries whose key starts with `prefix` in this iframe and (optionally) all others.
+ * @param {string} prefix e.g. `component:` or `metadata:dam:<host><path>`
+ * @param {{broadcast?: boolean}=} options
+ */
+export function invalidateSharedCache(prefix, { broadcast = false } = {}) {
+  invalidateLocal(prefix);
+  if (broadcast) post({ type: "cache:invalidate", prefix });
+  trace("tick", "metadataCache:invalidate", { prefix, broadcast });
+}
+
+/**
+ * Counters for the debug panel (this iframe only).
+ * @returns {{hits: number, misses: number, deduped: number}}
+ */
+export function getSharedCacheStats() {
+  return { ...stats };
+}
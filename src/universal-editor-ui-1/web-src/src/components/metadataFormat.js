@@ -0,0 +1,265 @@
+/**
+ * Typed, locale-aware formatting of metadata values (model options `format` and `locale`).
+ *
+ * DAM metadata holds dates as ISO (or EXIF `2023:05:01 10:00:00`) strings, sizes in bytes and
+ * dimensions as separate keys. A field can pick one formatter:
+ *
+ * - `date` / `dateTime` (`style`: `short` | `medium` | `long` | `full`, default `medium`)
+ * - `number` (`maximumFractionDigits`, default 2). EXIF rationals such as `28/10` are divided out.
+ * - `fileSize`: bytes → `1.4 MB` (binary steps, 1 KB = 1024 bytes)
+ * - `dimensions` (`widthKey`, `heightKey`): `1920 × 1080`, from a `WxH` value or the two keys
+ * - `duration`: seconds, `hh:mm:ss` or ISO 8601 (`PT1M30S`) → `1:30`
+ *
+ * `format` is a type name or an object `{"type": "date", "style": "long"}`. Values that can't be
+ * parsed are returned unchanged (the formatter returns null and the caller keeps the raw value).
+ *
+ * Locale: the model's `locale` wins; otherwise the page locale is taken from the language root of the
+ * content path (`/content/site/de-ch/…`, the AEM convention), then the browser's.
+ *
+ * Unknown formats and values a formatter rejects are traced (`metadataFormat:*`), not thrown.
+ */
+import { trace } from "./trace";
+
+const FORMAT_TYPES = ["date", "dateTime", "number", "fileSize", "dimensions", "duration"];
+const DEFAULT_WIDTH_KEYS = ["tiff:ImageWidth", "exif:PixelXDimension"];
+const DEFAULT_HEIGHT_KEYS = ["tiff:ImageLength", "exif:PixelYDimension"];
+const FILE_SIZE_UNITS = ["byte", "kilobyte", "megabyte", "gigabyte", "terabyte"];
+// `2023-05-01`, `2023-05-01T10:30`, `2023-05-01T10:30:00.000+02:00`, `…Z`
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * @typedef {{type: "date"|"dateTime"|"number"|"fileSize"|"dimensions"|"duration", [option: string]: any}} MetadataFormat
+ */
+
+/**
+ * Parse the model's `format`; null when unset or unknown.
+ * @param {any} raw
+ * @returns {MetadataFormat|null}
+ */
+export function parseFormat(raw) {
+  let obj = raw;
+  if (typeof raw === "string") {
+    const s = raw.trim();
+    if (!s) return null;
+    if (s.startsWith("{")) {
+      try {
+        obj = JSON.parse(s);
+      } catch {
+        obj = null;
+      }
+    } else {
+      obj = { type: s };
+    }
+  }
+  if (!obj || typeof obj !== "object" || !FORMAT_TYPES.includes(obj.type)) {
+    if (raw) trace("tick", "metadataFormat:unknown", { format: JSON.stringify(raw) });
+    return null;
+  }
+  return { ...obj };
+}
+
+/**
+ * @param {string} tag
+ * @returns {string} the canonical tag when the runtime has date formatting data for it, else ""
+ */
+function supportedLocale(tag) {
+  if (!tag) return "";
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(tag)[0] || "";
+  } catch {
+    // not a valid tag
+    return "";
+  }
+}
+
+/**
+ * Page language from the content path: the first segment below the site root that is a supported
+ * locale (`/content/<site>/<lang>/…`, also `/content/<site>/language-masters/<lang>/…`). Scanning from
+ * the root keeps two-letter page names further down (`/content/site/en/about/us`) from winning.
+ * @param {string} resourcePath
+ * @returns {string}
+ */
+function pathLocale(resourcePath) {
+  const segments = String(resourcePath || "")
+    .split("/jcr:content")[0]
+    .split("/")
+    .filter(Boolean);
+  const below = segments[0] === "content" ? segments.slice(2) : segments;
+  for (const segment of below) {
+    if (!/^[a-z]{2}([-_][a-zA-Z]{2})?$/.test(segment)) continue;
+    const locale = supportedLocale(segment.replace("_", "-"));
+    if (locale) return locale;
+  }
+  return "";
+}
+
+/**
+ * Locale for formatting: explicit override, page language from the content path, then the browser.
+ * Each candidate must be a locale the runtime can format; unsupported ones fall through to the next.
+ * @param {string} override
+ * @param {string} resourcePath e.g. `/content/site/de-ch/page/jcr:content/root/image`
+ * @returns {string}
+ */
+export function resolveFormatLocale(override, resourcePath) {
+  const candidates = [String(override || "").trim(), pathLocale(resourcePath)];
+  if (typeof navigator !== "undefined") candidates.push(navigator.language);
+  for (const c of candidates) {
+    const locale = supportedLocale(c);
+    if (locale) return locale;
+  }
+  return "en";
+}
+
+/**
+ * @param {any} v
+ * @returns {number|null}
+ */
+function toNumber(v) {
+  const raw = Array.isArray(v) ? v[0] : v;
+  if (typeof raw === "number") return Number.isFinite(raw) ? raw : null;
+  const s = String(raw ?? "").trim();
+  const rational = s.match(/^(-?\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (rational) return Number(rational[2]) ? Number(rational[1]) / Number(rational[2]) : null;
+  if (!/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(s)) return null;
+  return Number(s);
+}
+
+/**
+ * @param {any} v
+ * @returns {{date: Date, dateOnly: boolean}|null}
+ */
+function toDate(v) {
+  const raw = Array.isArray(v) ? v[0] : v;
+  if (typeof raw === "number") return Number.isFinite(raw) ? { date: new Date(raw), dateOnly: false } : null;
+  let s = String(raw ?? "").trim();
+  if (!s) return null;
+  // EXIF: "2023:05:01 10:00:00" → "2023-05-01T10:00:00"
+  s = s.replace(/^(\d{4}):(\d{2}):(\d{2})(?=[ T]|$)/, "$1-$2-$3").replace(/^(\d{4}-\d{2}-\d{2}) /, "$1T");
+  // Only ISO 8601 (after the EXIF rewrite): `new Date` would also read "Photo 1" as a date.
+  if (!ISO_DATE_RE.test(s)) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(s);
+  const date = new Date(s);
+  return Number.isNaN(date.getTime()) ? null : { date, dateOnly };
+}
+
+/**
+ * @param {any} v
+ * @returns {number|null} seconds
+ */
+function toSeconds(v) {
+  const n = toNumber(v);
+  if (n !== null) return n;
+  const s = String(Array.isArray(v) ? v[0] : v ?? "").trim();
+  const clock = s.match(/^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/);
+  if (clock) return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  const iso = s.match(/^PT(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+  if (iso && (iso[1] || iso[2] || iso[3])) {
+    return Number(iso[1] || 0) * 3600 + Number(iso[2] || 0) * 60 + Number(iso[3] || 0);
+  }
+  return null;
+}
+
+/**
+ * @param {number} seconds
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatDuration(seconds, locale) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  if (typeof Intl.DurationFormat === "function") {
+    return new Intl.DurationFormat(locale, { style: "digital", hoursDisplay: "auto" }).format({
+      hours: h,
+      minutes: m,
+      seconds: sec,
+    });
+  }
+  const pad = (n) => String(n).padStart(2, "0");
+  return h ? `${h}:${pad(m)}:${pad(sec)}` : `${m}:${pad(sec)}`;
+}
+
+/**
+ * @param {number} bytes
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatFileSize(bytes, locale) {
+  let value = bytes;
+  let unit = 0;
+  while (Math.abs(value) >= 1024 && unit < FILE_SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return new Intl.NumberFormat(locale, {
+    style: "unit",
+    unit: FILE_SIZE_UNITS[unit],
+    unitDisplay: "short",
+    maximumFractionDigits: unit === 0 ? 0 : 1,
+  }).format(value);
+}
+
+/**
+ * Format a resolved metadata value.
+ *
+ * @param {any} value
+ * @param {MetadataFormat|null} format
+ * @param {{locale: string, lookup: (keys: string[]) => any, keys?: string[]}} context `lookup` resolves
+ *   other metadata keys, `keys` are the field's own (requested) keys (dimensions)
+ * @returns {string|null} null when the value can't be formatted (keep the raw value)
+ */
+export function formatMetadataValue(value, format, { locale, lookup, keys = [] }) {
+  if (!format) return null;
+  try {
+    switch (format.type) {
+      case "date":
+      case "dateTime": {
+        const parsed = toDate(value);
+        if (!parsed) return null;
+        const style = format.style || "medium";
+        const options = format.type === "date" ? { dateStyle: style } : { dateStyle: style, timeStyle: "short" };
+        // A bare date is midnight UTC; format it in UTC so it doesn't shift to the previous day.
+        if (parsed.dateOnly) options.timeZone = "UTC";
+        return new Intl.DateTimeFormat(locale, options).format(parsed.date);
+      }
+      case "number": {
+        const n = toNumber(value);
+        if (n === null) return null;
+        const maximumFractionDigits = Number.isInteger(format.maximumFractionDigits) ? format.maximumFractionDigits : 2;
+        return new Intl.NumberFormat(locale, { maximumFractionDigits }).format(n);
+      }
+      case "fileSize": {
+        const n = toNumber(value);
+        return n === null ? null : formatFileSize(n, locale);
+      }
+      case "dimensions": {
+        const pair = String(Array.isArray(value) ? value.join("x") : value ?? "").match(/^\s*(\d+)\s*[x×,]\s*(\d+)\s*$/i);
+        const widthKeys = format.widthKey ? [format.widthKey] : DEFAULT_WIDTH_KEYS;
+        const heightKeys = format.heightKey ? [format.heightKey] : DEFAULT_HEIGHT_KEYS;
+        // The width/height keys only stand in for a field that reads one of them (e.g. `tiff:ImageWidth`).
+        if (!pair && !keys.some((k) => widthKeys.includes(k) || heightKeys.includes(k))) return null;
+        const width = pair ? Number(pair[1]) : toNumber(lookup(widthKeys));
+        const height = pair ? Number(pair[2]) : toNumber(lookup(heightKeys));
+        if (width === null || height === null) return null;
+        // No grouping: `1920 × 1080`, not `1,920 × 1,080`.
+        const nf = new Intl.NumberFormat(locale, { maximumFractionDigits: 0, useGrouping: false });
+        return `${nf.format(width)} × ${nf.format(height)}`;
+      }
+      case "duration": {
+        const seconds = toSeconds(value);
+        return seconds === null ? null : formatDuration(seconds, locale);
+      }
+      default:
+        return null;
+    }
+  } catch (e) {
+    // e.g. an invalid `style` option: fall back to the raw value.
+    trace("tick", "metadataFormat:failed", {
+      value: JSON.stringify(value),
+      type: format.type,
+      message: String(e?.message || e),
+    });
+    return null;
+  }
+}
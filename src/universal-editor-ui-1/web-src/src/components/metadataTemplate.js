@@ -0,0 +1,169 @@
+/**
+ * Tiny template language for composing several metadata values into one field value.
+ *
+ * Syntax (configured via the field model's `metadataTemplate`):
+ * - `{dc:title}`: placeholder, replaced with the resolved metadata value.
+ * - `{dc:description,dc:title}`: placeholder with an ordered key fallback chain (first non-empty wins).
+ * - `{dc:rights|All rights reserved}`: placeholder with a default used when no key yields a value.
+ * - `[ — © {dc:rights}]`: optional group, dropped entirely when any placeholder inside it is empty.
+ *   Use it to keep separators/punctuation only when their value exists. Groups may be nested.
+ * - `\{`, `\}`, `\[`, `\]`, `\|`, `\\`: literal characters.
+ *
+ * Example: `{dc:title}[ — © {dc:rights}][ ({xmpRights:Owner})]`
+ *
+ * The module is pure: metadata lookup is delegated to the caller so every placeholder resolves
+ * against the same fetched metadata JSON.
+ */
+
+/**
+ * @typedef {{type: "text", text: string}
+ *   | {type: "placeholder", expr: string, keys: string[], defaultValue: string}
+ *   | {type: "group", children: TemplateNode[]}} TemplateNode
+ */
+
+/**
+ * Parse a template string into a node tree. Unbalanced brackets are treated as literal text.
+ * @param {string} template
+ * @returns {TemplateNode[]}
+ */
+export function parseMetadataTemplate(template) {
+  const src = String(template || "");
+  let pos = 0;
+
+  const parseNodes = (closer) => {
+    const nodes = [];
+    let text = "";
+    const flushText = () => {
+      if (text) nodes.push({ type: "text", text });
+      text = "";
+    };
+
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (ch === "\\" && pos + 1 < src.length) {
+        text += src[pos + 1];
+        pos += 2;
+        continue;
+      }
+      if (closer && ch === closer) {
+        pos += 1;
+        flushText();
+        return { nodes, closed: true };
+      }
+      if (ch === "{") {
+        const end = findPlaceholderEnd(src, pos + 1);
+        if (end < 0) {
+          text += ch;
+          pos += 1;
+          continue;
+        }
+        flushText();
+        nodes.push(parsePlaceholder(src.slice(pos + 1, end)));
+        pos = end + 1;
+        continue;
+      }
+      if (ch === "[") {
+        const start = pos;
+        pos += 1;
+        const inner = parseNodes("]");
+        if (!inner.closed) {
+          // No matching `]`: keep the bracket literally and re-read what follows as plain content.
+          pos = start + 1;
+          text += ch;
+          continue;
+        }
+        flushText();
+        nodes.push({ type: "group", children: inner.nodes });
+        continue;
+      }
+      text += ch;
+      pos += 1;
+    }
+
+    flushText();
+    return { nodes, closed: false };
+  };
+
+  return parseNodes("").nodes;
+}
+
+/**
+ * Find the index of the `}` closing a placeholder that starts at `from` (honouring escapes).
+ * @param {string} src
+ * @param {number} from
+ * @returns {number}
+ */
+function findPlaceholderEnd(src, from) {
+  for (let i = from; i < src.length; i += 1) {
+    if (src[i] === "\\") {
+      i += 1;
+      continue;
+    }
+    if (src[i] === "}") return i;
+    if (src[i] === "{") return -1;
+  }
+  return -1;
+}
+
+/**
+ * @param {string} raw placeholder body without braces, e.g. `dc:rights|Unknown`
+ * @returns {TemplateNode}
+ */
+function parsePlaceholder(raw) {
+  let keysPart = "";
+  let defaultValue = "";
+  let inDefault = false;
+  for (let i = 0; i < raw.length; i += 1) {
+    let ch = raw[i];
+    if (ch === "\\" && i + 1 < raw.length) {
+      i += 1;
+      ch = raw[i];
+    } else if (ch === "|" && !inDefault) {
+      inDefault = true;
+      continue;
+    }
+    if (inDefault) defaultValue += ch;
+    else keysPart += ch;
+  }
+  const keys = keysPart
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+  return { type: "placeholder", expr: raw, keys, defaultValue };
+}
+
+/**
+ * Render a template against a caller-provided resolver.
+ *
+ * @param {string} template
+ * @param {(keys: string[]) => {value: string, resolvedKey: string}} resolveKeys
+ *   Returns the stringified value for the first non-empty key in `keys` (or an empty value).
+ * @returns {{value: string, placeholders: Array<{expr: string, resolvedKey: string, value: string, usedDefault: boolean}>}}
+ */
+export function renderMetadataTemplate(template, resolveKeys) {
+  const placeholders = [];
+
+  const renderNodes = (nodes) => {
+    let out = "";
+    let complete = true;
+    for (const node of nodes) {
+      if (node.type === "text") {
+        out += node.text;
+      } else if (node.type === "placeholder") {
+        const resolved = node.keys.length ? resolveKeys(node.keys) : { value: "", resolvedKey: "" };
+        const usedDefault = !resolved.value && Boolean(node.defaultValue);
+        const v = resolved.value || node.defaultValue || "";
+        placeholders.push({ expr: node.expr, resolvedKey: resolved.resolvedKey || "", value: v, usedDefault });
+        if (!v) complete = false;
+        out += v;
+      } else if (node.type === "group") {
+        const inner = renderNodes(node.children);
+        if (inner.complete) out += inner.out;
+      }
+    }
+    return { out, complete };
+  };
+
+  const rendered = renderNodes(parseMetadataTemplate(template));
+  return { value: rendered.out.trim(), placeholders };
+}
@@ -0,0 +1,286 @@
+/**
+ * Page-wide view of the `asset-metadata-default` fields: find them in `editorState` and resolve, for
+ * each one, its asset, the stored value and the value the renderer would write.
+ *
+ * The renderer only sees the selected component. Page views (the "Fill missing defaults" sweep and the
+ * "Metadata defaults" report rail) need the field definitions of every component, which `<resource>.json`
+ * doesn't carry (it only has the stored values). They come from the component models the page declares
+ * for Universal Editor (`<script type="application/vnd.adobe.aue.model+json">`, usually pointing at
+ * `component-models.json`), read from the page HTML on Author by `loadPageModels`, matched against each
+ * editable's `model`.
+ *
+ * A host that already exposes the definitions in `editorState` is used as is, without that request:
+ * - component model definitions: `componentModels` or `models`, an array of `{id, fields}` or an object
+ *   keyed by model id;
+ * - field definitions on the editables themselves: `editable.fields`, or an editable that is a field
+ *   (`component` + `name`).
+ * When the page has editables but no definitions from either source, discovery fails with an error
+ * instead of reporting an empty page.
+ */
+import { rendererDataType } from "./constants";
+import { failureMessage, fetchWithRetry } from "./fetchFailures";
+import { isAbortError } from "./abort";
+import { getOrFetchShared } from "./metadataCache";
+import {
+  basename,
+  buildFieldConfig,
+  fetchComponentProps,
+  findNeighborEditable,
+  getEditableValue,
+  isPinnedValue,
+  loadAssetMetadata,
+  normalizeProp,
+  parseResourceUrn,
+  pickAemHost,
+  resolveAssetReference,
+  resolveMetadataSpec,
+  resolveResource,
+} from "./assetMetadata";
+import { parseProvenance } from "./provenance";
+import { trace } from "./trace";
+
+// Fields are resolved a few at a time: pages after a migration can hold hundreds of image blocks.
+const RESOLVE_CONCURRENCY = 4;
+// `<script type>` of the component model declaration in the page head (Universal Editor instrumentation).
+const MODEL_SCRIPT_TYPE = "application/vnd.adobe.aue.model+json";
+// Component models change with a code deployment, not while a page is edited.
+const PAGE_MODELS_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {{editable: any, resource: string, model: any}} PageField
+ */
+
+/**
+ * @typedef {{editable: any, resource: string, resourcePath: string, blockKey: string, fieldName: string,
+ *   fieldLabel: string, config: Record<string, any>, aemHost: string|null, assetRef: string, label: string,
+ *   source: "dam"|"delivery", currentValue: string, provenance: import("./provenance").ProvenanceRecord|null,
+ *   candidate: string, resolvedKey: string,
+ *   state: "ready"|"noAsset"|"pinned"|"applied"|"error", message: string}} PageFieldRow
+ */
+
+/**
+ * Component model definitions by model id.
+ * @param {any} editorState
+ * @param {any[]} pageModels definitions loaded by `loadPageModels`
+ * @returns {Map<string, any>}
+ */
+function collectModelDefinitions(editorState, pageModels = []) {
+  const out = new Map();
+  for (const source of [editorState?.componentModels, editorState?.models, pageModels]) {
+    const list = Array.isArray(source) ? source : Object.entries(source || {}).map(([id, m]) => ({ id, ...m }));
+    for (const m of list) {
+      if (m?.id && Array.isArray(m.fields) && !out.has(m.id)) out.set(m.id, m);
+    }
+  }
+  return out;
+}
+
+/**
+ * Whether `editorState` itself carries field definitions (see the module comment).
+ * @param {any} editorState
+ * @returns {boolean}
+ */
+function hasEditorStateDefinitions(editorState) {
+  const editables = editorState?.editables || [];
+  return (
+    collectModelDefinitions(editorState).size > 0 ||
+    editables.some((e) => Array.isArray(e?.fields) || (e?.component && e?.name))
+  );
+}
+
+/**
+ * Component model definitions the page declares for Universal Editor: every
+ * `<script type="application/vnd.adobe.aue.model+json">` in the page HTML, inline or through `src`.
+ * The page is read from the Author host of its editables, like `<resource>.json`; nothing is fetched
+ * when `editorState` already has definitions.
+ *
+ * @param {{editorState: any, authScheme: string, token?: string, force?: boolean, signal?: AbortSignal}} params
+ * @returns {Promise<any[]>} model definitions (`{id, fields}`); empty when there is nothing to read
+ */
+export async function loadPageModels({ editorState, authScheme, token, force, signal }) {
+  if (hasEditorStateDefinitions(editorState)) return [];
+  const editables = editorState?.editables || [];
+  const editableById = new Map(editables.map((e) => [e.id, e]));
+  const urn = editables.map((e) => parseResourceUrn(resolveResource(editableById, e))).find((u) => u?.path);
+  const aemHost = urn
+    ? pickAemHost(editorState?.connections || {}, editorState?.customTokens || {}, urn.connectionName || "")
+    : null;
+  if (!urn || !aemHost) return [];
+  const pagePath = urn.path.split("/jcr:content")[0];
+  const pageUrl = `${aemHost}${pagePath}.html`;
+  const fetchText = async (url, label) => {
+    // Credentials only go to the Author host; `component-models.json` may be served from elsewhere.
+    const init = { signal };
+    if (new URL(url).origin === new URL(pageUrl).origin) {
+      init.credentials = "include";
+      if (token) init.headers = { Authorization: `${authScheme || "Bearer"} ${token}` };
+    }
+    const res = await fetchWithRetry(url, init, label);
+    return await res.text();
+  };
+  return await getOrFetchShared(
+    `models:${pageUrl}`,
+    async () => {
+      const html = await fetchText(pageUrl, `Page ${pagePath}`);
+      const doc = new DOMParser().parseFromString(html, "text/html");
+      const models = [];
+      for (const script of doc.querySelectorAll(`script[type="${MODEL_SCRIPT_TYPE}"]`)) {
+        const src = script.getAttribute("src");
+        const text = src ? await fetchText(new URL(src, pageUrl).href, "Component models") : script.textContent;
+        const json = JSON.parse(text || "[]");
+        if (Array.isArray(json)) models.push(...json);
+      }
+      trace("tick", "pageFields:pageModels", { page: pagePath, models: models.length });
+      return models;
+    },
+    { ttlMs: PAGE_MODELS_TTL_MS, force, signal }
+  );
+}
+
+/**
+ * Whether an editable's component defines a field named `fieldName` (normalized), per the definitions
+ * in `editorState` or `pageModels`. False when there are no definitions for it.
+ * @param {any} editorState
+ * @param {any} editable
+ * @param {string} fieldName
+ * @param {any[]=} pageModels definitions loaded by `loadPageModels`
+ * @returns {boolean}
+ */
+export function definesField(editorState, editable, fieldName, pageModels = []) {
+  const fields = collectModelDefinitions(editorState, pageModels).get(editable?.model)?.fields || editable?.fields || [];
+  return fields.some((f) => normalizeProp(f?.name || "") === fieldName);
+}
+
+/**
+ * Every `asset-metadata-default` field on the page, one entry per component resource and field name.
+ * Throws when there are no field definitions at all (see the module comment).
+ * @param {any} editorState
+ * @param {any[]=} pageModels definitions loaded by `loadPageModels`
+ * @returns {PageField[]}
+ */
+export function findMetadataDefaultFields(editorState, pageModels = []) {
+  const editables = editorState?.editables || [];
+  const editableById = new Map(editables.map((e) => [e.id, e]));
+  const modelsById = collectModelDefinitions(editorState, pageModels);
+  const seen = new Set();
+  const out = [];
+  const add = (editable, resource, model) => {
+    const key = `${resource}|${normalizeProp(model?.name || "")}`;
+    if (!resource || !model?.name || seen.has(key)) return;
+    seen.add(key);
+    out.push({ editable, resource, model });
+  };
+
+  if (editables.length > 0 && modelsById.size === 0 && !hasEditorStateDefinitions(editorState)) {
+    trace("tick", "pageFields:noDefinitions", { editables: editables.length, keys: Object.keys(editorState || {}) });
+    throw new Error(
+      "This page doesn't declare its component models, so the metadata default fields on it can't be " +
+        "found. Select each component to fill its fields instead."
+    );
+  }
+
+  for (const editable of editables) {
+    const resource = resolveResource(editableById, editable);
+    if (editable?.component === rendererDataType) add(editable, resource, editable);
+    const fields = modelsById.get(editable?.model)?.fields || editable?.fields || [];
+    for (const field of fields) {
+      if (field?.component === rendererDataType) add(editable, resource, field);
+    }
+  }
+  trace("tick", "pageFields:found", { editables: editables.length, models: modelsById.size, fields: out.length });
+  return out;
+}
+
+/**
+ * Resolve one page field: stored value (from `<resource>.json`), asset and candidate value.
+ * Failures are reported on the row (`state: "error"`), except cancellation.
+ *
+ * @param {{editorState: any, field: PageField, authScheme: string, token?: string, force?: boolean, signal?: AbortSignal}} params
+ * @returns {Promise<PageFieldRow>}
+ */
+export async function resolvePageField({ editorState, field, authScheme, token, force, signal }) {
+  const { editable, resource, model } = field;
+  const config = buildFieldConfig(model);
+  const fieldName = normalizeProp(model.name);
+  const urn = parseResourceUrn(resource);
+  const aemHost = pickAemHost(editorState?.connections || {}, editorState?.customTokens || {}, urn?.connectionName || "");
+  /** @type {PageFieldRow} */
+  const row = {
+    editable,
+    resource,
+    resourcePath: urn?.path || "",
+    blockKey: `${urn?.connectionName || "aem"}|${urn?.path || resource}|${config.assetField}`,
+    fieldName,
+    fieldLabel: model.label || fieldName,
+    config,
+    aemHost,
+    assetRef: "",
+    label: "",
+    source: "dam",
+    currentValue: "",
+    provenance: null,
+    candidate: "",
+    resolvedKey: "",
+    state: "ready",
+    message: "",
+  };
+  try {
+    const props =
+      urn?.path && aemHost
+        ? await fetchComponentProps({
+            aemHost,
+            resourcePath: urn.path,
+            propNames: [config.assetField, fieldName, config.pinField, config.provenanceField],
+            authScheme,
+            token,
+            force,
+            signal,
+          })
+        : {};
+    const neighbor = findNeighborEditable(editorState, editable, config.assetField);
+    const asset = resolveAssetReference(props[config.assetField] || getEditableValue(neighbor));
+    row.assetRef = asset.assetRef;
+    row.label = basename(asset.assetRef) || resource;
+    row.source = asset.resolvedDamPath ? "dam" : "delivery";
+    row.currentValue = props[fieldName] || "";
+    row.provenance = config.provenanceField ? parseProvenance(props[config.provenanceField]) : null;
+    if (!asset.assetRef) return { ...row, state: "noAsset" };
+    if (config.pinField && isPinnedValue(props[config.pinField])) return { ...row, state: "pinned" };
+    const metadataJson = await loadAssetMetadata({
+      resolvedDamPath: asset.resolvedDamPath,
+      aemHost,
+      authScheme,
+      token,
+      deliveryOrigin: asset.deliveryOrigin,
+      assetUrn: asset.assetUrn,
+      maxAgeMs: config.metadataMaxAgeMs,
+      force,
+      signal,
+    });
+    const { resolved, metadataValue } = resolveMetadataSpec(metadataJson, config, { resourcePath: row.resourcePath });
+    return { ...row, candidate: metadataValue, resolvedKey: resolved.resolvedKey || "" };
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    return { ...row, state: "error", message: failureMessage(e) };
+  }
+}
+
+/**
+ * Resolve several page fields, a few at a time, keeping their order.
+ *
+ * @param {{editorState: any, fields: PageField[], authScheme: string, token?: string, force?: boolean, signal?: AbortSignal}} params
+ * @returns {Promise<PageFieldRow[]>}
+ */
+export async function resolvePageFields({ editorState, fields, ...options }) {
+  const out = new Array(fields.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < fields.length) {
+      const i = next;
+      next += 1;
+      out[i] = await resolvePageField({ editorState, field: fields[i], ...options });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(RESOLVE_CONCURRENCY, fields.length) }, worker));
+  return out;
+}
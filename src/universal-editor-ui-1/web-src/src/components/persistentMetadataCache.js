@@ -0,0 +1,162 @@
+/**
+ * IndexedDB-backed metadata cache that survives page reloads, with HTTP revalidation.
+ *
+ * Sits below the per-session shared cache (metadataCache.js): when that misses, we look here before
+ * going to the network.
+ * - A stored response is used as-is only while it is younger than `maxAgeMs` (counted from the last
+ *   successful fetch or revalidation).
+ * - Older entries are revalidated with `If-None-Match` / `If-Modified-Since`. A `304` refreshes the
+ *   entry, a `200` replaces it. Errors are thrown: stale data is never returned unvalidated.
+ * - Total size is bounded; least-recently-used entries are evicted first.
+ *
+ * Everything degrades to plain fetching when IndexedDB is unavailable (privacy modes, blocked storage).
+ */
+import { trace } from "./trace";
+
+const DB_NAME = "ue.assetmetadatadefaults";
+const DB_VERSION = 1;
+const STORE = "metadata";
+// Upper bound for the serialized JSON kept on disk.
+const MAX_TOTAL_BYTES = 5 * 1024 * 1024;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    try {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: "key" });
+          store.createIndex("lastAccess", "lastAccess");
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+  return dbPromise;
+}
+
+/**
+ * Run one request in a transaction and resolve with its result (null on any failure).
+ * @param {"readonly"|"readwrite"} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDb();
+  if (!db) return null;
+  return await new Promise((resolve) => {
+    try {
+      const tx = db.transaction(STORE, mode);
+      const req = makeRequest(tx.objectStore(STORE));
+      req.onsuccess = () => resolve(req.result ?? null);
+      req.onerror = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Evict least-recently-used entries until the stored JSON fits into MAX_TOTAL_BYTES.
+ */
+async function evictIfNeeded() {
+  const all = (await withStore("readonly", (store) => store.getAll())) || [];
+  let total = all.reduce((sum, r) => sum + (r.size || 0), 0);
+  if (total <= MAX_TOTAL_BYTES) return;
+  const byAge = all.slice().sort((a, b) => (a.lastAccess || 0) - (b.lastAccess || 0));
+  for (const record of byAge) {
+    if (total <= MAX_TOTAL_BYTES) break;
+    await withStore("readwrite", (store) => store.delete(record.key));
+    total -= record.size || 0;
+    trace("tick", "persistentCache:evicted", { key: record.key, size: record.size });
+  }
+}
+
+/**
+ * @typedef {{json: any, etag?: string, lastModified?: string, notModified?: boolean}} RevalidatingResponse
+ */
+
+/**
+ * Return metadata for `key`, using the stored copy while younger than `maxAgeMs` and revalidating
+ * it otherwise.
+ *
+ * @param {string} key
+ * @param {(validators: {etag?: string, lastModified?: string}) => Promise<RevalidatingResponse>} fetcher
+ *   performs the (conditional) request; `notModified: true` signals a `304`
+ * @param {{maxAgeMs: number, force?: boolean}} options `force` always revalidates
+ * @returns {Promise<any>}
+ */
+export async function loadWithRevalidation(key, fetcher, { maxAgeMs, force = false }) {
+  const now = Date.now();
+  const record = await withStore("readonly", (store) => store.get(key));
+
+  if (record && !force && now - (record.validatedAt || 0) < maxAgeMs) {
+    trace("tick", "persistentCache:hit", { key, ageMs: now - record.validatedAt });
+    await withStore("readwrite", (store) => store.put({ ...record, lastAccess: now }));
+    return record.value;
+  }
+
+  const validators = record ? { etag: record.etag || "", lastModified: record.lastModified || "" } : {};
+  const res = await fetcher(validators);
+
+  if (res.notModified && record) {
+    trace("tick", "persistentCache:revalidated", { key });
+    await withStore("readwrite", (store) => store.put({ ...record, validatedAt: Date.now(), lastAccess: Date.now() }));
+    return record.value;
+  }
+
+  const value = res.json;
+  let size = 0;
+  try {
+    size = JSON.stringify(value).length;
+  } catch {
+    return value;
+  }
+  trace("tick", "persistentCache:stored", { key, size });
+  await withStore("readwrite", (store) =>
+    store.put({
+      key,
+      value,
+      etag: res.etag || "",
+      lastModified: res.lastModified || "",
+      validatedAt: Date.now(),
+      lastAccess: Date.now(),
+      size,
+    })
+  );
+  await evictIfNeeded();
+  return value;
+}
+
+/**
+ * Remove entries whose key starts with `prefix` (e.g. after writing metadata to an asset).
+ * @param {string} prefix
+ * @returns {Promise<void>}
+ */
+export async function invalidatePersistentCache(prefix) {
+  const keys = (await withStore("readonly", (store) => store.getAllKeys())) || [];
+  for (const k of keys) {
+    if (String(k).startsWith(prefix)) await withStore("readwrite", (store) => store.delete(k));
+  }
+}
+
+/**
+ * Drop every stored entry (debug "clear cache" control).
+ * @returns {Promise<void>}
+ */
+export async function clearPersistentCache() {
+  await withStore("readwrite", (store) => store.clear());
+  trace("tick", "persistentCache:cleared");
+}
@@ -0,0 +1,87 @@
+/**
+ * Provenance records for auto-filled values.
+ *
+ * When the field model configures `provenanceField`, every apply writes a small JSON record into that
+ * sibling property of the authored component, e.g.:
+ *
+ *   {"v":1,"asset":"/content/dam/x.jpg","key":"dc:title","source":"dam","appliedAt":"2024-…","hash":"fnv1a32:…"}
+ *
+ * The record lives with the content (not in iframe memory), so governance reports can tell DAM-derived
+ * values from hand-typed ones, and the renderer can detect manual edits by re-hashing the current value.
+ */
+const PROVENANCE_VERSION = 1;
+
+/**
+ * Stable, synchronous 32-bit FNV-1a hash of a string (UTF-16 code units), tagged with its algorithm.
+ * Not cryptographic: it only needs to detect that a value changed.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function hashValue(value) {
+  const s = String(value ?? "");
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i += 1) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return `fnv1a32:${h.toString(16).padStart(8, "0")}`;
+}
+
+/**
+ * @typedef {{v: number, asset: string, key: string, source: "dam"|"delivery", appliedAt: string, hash: string}} ProvenanceRecord
+ */
+
+/**
+ * Build the record written on apply.
+ *
+ * @param {{asset: string, key: string, source: "dam"|"delivery", value: string, now?: Date}} params
+ * @returns {ProvenanceRecord}
+ */
+export function buildProvenance({ asset, key, source, value, now }) {
+  return {
+    v: PROVENANCE_VERSION,
+    asset: String(asset || ""),
+    key: String(key || ""),
+    source,
+    appliedAt: (now || new Date()).toISOString(),
+    hash: hashValue(value),
+  };
+}
+
+/**
+ * Serialize a record for storage in a string property.
+ * @param {ProvenanceRecord} record
+ * @returns {string}
+ */
+export function serializeProvenance(record) {
+  return JSON.stringify(record);
+}
+
+/**
+ * Parse a persisted record; returns null for empty/invalid values.
+ * @param {any} raw
+ * @returns {ProvenanceRecord|null}
+ */
+export function parseProvenance(raw) {
+  if (!raw) return null;
+  try {
+    const parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+    if (!parsed || typeof parsed !== "object" || !parsed.hash) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the current value differs from what was auto-filled (i.e. a person edited it since).
+ *
+ * @param {string} value
+ * @param {ProvenanceRecord|null} record
+ * @returns {boolean}
+ */
+export function isEditedSinceApply(value, record) {
+  if (!record) return false;
+  return hashValue(value) !== record.hash;
+}
@@ -0,0 +1,75 @@
+/**
+ * Minimal word-level diff used to show how a metadata suggestion differs from the current field text.
+ *
+ * Field values are short (alt text, captions), so a plain LCS table is fast enough. Very long inputs
+ * fall back to a "replace everything" diff to keep the work bounded.
+ */
+const MAX_DIFF_TOKENS = 400;
+
+/**
+ * Split into word and whitespace tokens (whitespace is kept so the diff re-joins losslessly).
+ * @param {string} s
+ * @returns {string[]}
+ */
+function tokenize(s) {
+  return String(s || "")
+    .split(/(\s+)/)
+    .filter((t) => t !== "");
+}
+
+/**
+ * @param {Array<{type: "same"|"added"|"removed", text: string}>} parts
+ * @param {"same"|"added"|"removed"} type
+ * @param {string} text
+ */
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+}
+
+/**
+ * Diff `from` (current text) against `to` (suggested text).
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<{type: "same"|"added"|"removed", text: string}>}
+ */
+export function diffWords(from, to) {
+  const a = tokenize(from);
+  const b = tokenize(to);
+  const parts = [];
+
+  if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) {
+    if (a.length) pushPart(parts, "removed", a.join(""));
+    if (b.length) pushPart(parts, "added", b.join(""));
+    return parts;
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushPart(parts, "same", a[i]);
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushPart(parts, "removed", a[i]);
+      i += 1;
+    } else {
+      pushPart(parts, "added", b[j]);
+      j += 1;
+    }
+  }
+  for (; i < a.length; i += 1) pushPart(parts, "removed", a[i]);
+  for (; j < b.length; j += 1) pushPart(parts, "added", b[j]);
+  return parts;
+}
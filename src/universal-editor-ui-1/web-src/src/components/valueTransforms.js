@@ -0,0 +1,218 @@
+/**
+ * Value transformation pipeline (model option `transforms`).
+ *
+ * An ordered list of steps runs on the resolved metadata value (or the rendered template) before it is
+ * written. Each step is a name or an object with a `type`:
+ *
+ *   ["stripHtml", "collapseWhitespace", {"type": "truncate", "max": 125}]
+ *
+ * - `truncate` (`max`, optional `ellipsis`, default "…"): cut to `max` characters on a word boundary.
+ * - `stripExtension`: remove a trailing file extension (`beach.jpg` → `beach`); a numeric suffix like `Version 1.2` stays.
+ * - `case` (`to`: `lower` | `upper` | `title` | `sentence`); `lowercase` / `uppercase` are shorthands.
+ * - `collapseWhitespace`: trim and collapse runs of whitespace into one space.
+ * - `stripHtml`: remove tags and decode the common entities.
+ * - `replace` (`pattern`, optional `flags` (default "g"), `with`): regular expression replace.
+ * - `join` (`separator`): join a multi-value (array) metadata value.
+ *
+ * Steps work on strings. A multi-value reaching any other step is joined with ", " first, so put `join`
+ * first to choose the separator. Unknown or invalid steps are dropped (traced as `valueTransforms:invalid`).
+ */
+import { trace } from "./trace";
+
+const DEFAULT_JOIN_SEPARATOR = ", ";
+
+/**
+ * @typedef {{type: string, [option: string]: any}} TransformStep
+ */
+
+/**
+ * @typedef {{step: string, before: string, after: string}} TransformTraceEntry
+ */
+
+function warnInvalid(step, why) {
+  trace("tick", "valueTransforms:invalid", { step: JSON.stringify(step), why });
+}
+
+/**
+ * Normalize one configured step; null when it can't be used.
+ * @param {any} raw
+ * @returns {TransformStep|null}
+ */
+function normalizeStep(raw) {
+  const step = typeof raw === "string" ? { type: raw.trim() } : raw && typeof raw === "object" ? { ...raw } : null;
+  if (!step || !step.type) return null;
+  if (step.type === "lowercase") return { type: "case", to: "lower" };
+  if (step.type === "uppercase") return { type: "case", to: "upper" };
+  switch (step.type) {
+    case "truncate": {
+      const max = Math.floor(Number(step.max));
+      if (!(max > 0)) {
+        warnInvalid(raw, "`max` must be a positive number");
+        return null;
+      }
+      return { type: "truncate", max, ellipsis: step.ellipsis == null ? "…" : String(step.ellipsis) };
+    }
+    case "case": {
+      const to = String(step.to || "").toLowerCase();
+      if (!["lower", "upper", "title", "sentence"].includes(to)) {
+        warnInvalid(raw, "`to` must be lower, upper, title or sentence");
+        return null;
+      }
+      return { type: "case", to };
+    }
+    case "replace": {
+      try {
+        return {
+          type: "replace",
+          re: new RegExp(String(step.pattern || ""), step.flags == null ? "g" : String(step.flags)),
+          with: String(step.with ?? ""),
+        };
+      } catch (e) {
+        warnInvalid(raw, String(e?.message || e));
+        return null;
+      }
+    }
+    case "join":
+      return { type: "join", separator: step.separator == null ? DEFAULT_JOIN_SEPARATOR : String(step.separator) };
+    case "stripExtension":
+    case "collapseWhitespace":
+    case "stripHtml":
+      return { type: step.type };
+    default:
+      warnInvalid(raw, "unknown type");
+      return null;
+  }
+}
+
+/**
+ * Parse the model's `transforms` (array or JSON string of one).
+ * @param {any} raw
+ * @returns {TransformStep[]}
+ */
+export function parseTransforms(raw) {
+  let list = raw;
+  if (typeof raw === "string") {
+    if (!raw.trim()) return [];
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      warnInvalid(raw, "not a JSON array");
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list.map(normalizeStep).filter(Boolean);
+}
+
+/**
+ * @param {string} text
+ * @param {number} max
+ * @param {string} ellipsis
+ * @returns {string}
+ */
+function truncateOnWord(text, max, ellipsis) {
+  if (text.length <= max) return text;
+  const room = Math.max(0, max - ellipsis.length);
+  const cut = text.slice(0, room + 1);
+  const lastSpace = cut.search(/\s\S*$/);
+  // A single long word is cut mid-word rather than dropped.
+  const head = (lastSpace > 0 ? cut.slice(0, lastSpace) : text.slice(0, room)).replace(/[\s,;:.–—-]+$/, "");
+  return `${head}${ellipsis}`;
+}
+
+/**
+ * @param {string} text
+ * @param {"lower"|"upper"|"title"|"sentence"} to
+ * @returns {string}
+ */
+function changeCase(text, to) {
+  if (to === "lower") return text.toLowerCase();
+  if (to === "upper") return text.toUpperCase();
+  if (to === "title") return text.toLowerCase().replace(/(^|\s)(\p{L})/gu, (m, sep, c) => `${sep}${c.toUpperCase()}`);
+  const lower = text.toLowerCase();
+  return lower.replace(/\p{L}/u, (c) => c.toUpperCase());
+}
+
+/**
+ * @param {string} html
+ * @returns {string}
+ */
+function stripHtml(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>|<\/(p|div|li|h\d)>/gi, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * @param {any} v
+ * @param {string} separator
+ * @returns {string}
+ */
+function toText(v, separator) {
+  if (Array.isArray(v)) return v.filter(Boolean).map(String).join(separator);
+  return v == null ? "" : String(v);
+}
+
+/**
+ * @param {string} text
+ * @param {TransformStep} step
+ * @returns {string}
+ */
+function applyStep(text, step) {
+  switch (step.type) {
+    case "truncate":
+      return truncateOnWord(text, step.max, step.ellipsis);
+    case "stripExtension":
+      // An extension starts with a letter, so "Version 1.2" keeps its number.
+      return text.replace(/\.[a-z][a-z0-9]{0,4}$/i, "");
+    case "case":
+      return changeCase(text, step.to);
+    case "collapseWhitespace":
+      return text.replace(/\s+/g, " ").trim();
+    case "stripHtml":
+      return stripHtml(text);
+    case "replace":
+      return text.replace(step.re, step.with);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Short label of a step for the debug panel and the trace log.
+ * @param {TransformStep} step
+ * @returns {string}
+ */
+function describeStep(step) {
+  if (step.type === "truncate") return `truncate(${step.max})`;
+  if (step.type === "case") return `case(${step.to})`;
+  if (step.type === "replace") return `replace(${step.re})`;
+  if (step.type === "join") return `join(${JSON.stringify(step.separator)})`;
+  return step.type;
+}
+
+/**
+ * Run the pipeline. Without steps the result equals the plain stringified value.
+ *
+ * @param {any} value resolved metadata value (string, number, array, …)
+ * @param {TransformStep[]} steps
+ * @returns {{value: string, trace: TransformTraceEntry[]}}
+ */
+export function applyTransforms(value, steps) {
+  const entries = [];
+  let current = value;
+  for (const step of steps || []) {
+    const before = toText(current, DEFAULT_JOIN_SEPARATOR);
+    const after = step.type === "join" ? toText(current, step.separator) : applyStep(before, step);
+    entries.push({ step: describeStep(step), before, after });
+    current = after;
+  }
+  return { value: toText(current, DEFAULT_JOIN_SEPARATOR).trim(), trace: entries };
+}
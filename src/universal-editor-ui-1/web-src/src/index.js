@@ -8,6 +8,8 @@ import ReactDOM from "react-dom";
 
 import ExtensionRegistration from "./components/ExtensionRegistration";
 import AssetMetadataDefaultField from "./components/AssetMetadataDefaultField";
+import FillMissingDefaults from "./components/FillMissingDefaults";
+import MetadataDefaultsReport from "./components/MetadataDefaultsReport";
 
 // De-SPA: avoid React Router and the Experience Cloud Shell runtime bootstrap in the renderer iframe.
 // UE loads this page in iframes and may mount/unmount quickly during startup; keep the entrypoint minimal and idempotent.
@@ -16,6 +18,8 @@ function pickViewFromLocation() {
   // We keep compatibility with existing renderer URLs like: /index.html#/asset-metadata-default
   const hash = String(window.location.hash || "");
   if (hash.includes("asset-metadata-default")) return "asset-metadata-default";
+  if (hash.includes("fill-missing-defaults")) return "fill-missing-defaults";
+  if (hash.includes("metadata-defaults-report")) return "metadata-defaults-report";
   return "registration";
 }
 
@@ -32,6 +36,10 @@ function mountOnce() {
 
   if (view === "asset-metadata-default") {
     ReactDOM.render(<AssetMetadataDefaultField />, root);
+  } else if (view === "fill-missing-defaults") {
+    ReactDOM.render(<FillMissingDefaults />, root);
+  } else if (view === "metadata-defaults-report") {
+    ReactDOM.render(<MetadataDefaultsReport />, root);
   } else {
     ReactDOM.render(<ExtensionRegistration />, root);
   }